@@ -0,0 +1,67 @@
+const logger = require('../../lib/logger');
+const { fetchText } = require('../../lib/http');
+const { extractArticle } = require('../../lib/articleExtractor');
+const { canonicalizeUrl } = require('../../lib/url');
+
+const TIMEOUT_MS = 8000;
+const CONCURRENCY = 4;
+
+// Hosts that republish other outlets' stories. Override with BRIEFING_SYNDICATION_HOSTS (comma-separated)
+const DEFAULT_SYNDICATION_HOSTS = ['news.yahoo.com', 'uk.news.yahoo.com', 'finance.yahoo.com', 'msn.com', 'news.google.com', 'flipboard.com'];
+const SYNDICATION_HOSTS = process.env.BRIEFING_SYNDICATION_HOSTS
+  ? process.env.BRIEFING_SYNDICATION_HOSTS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_SYNDICATION_HOSTS;
+
+/**
+ * Replace `canonical_url` with the canonical link the page itself declares,
+ * for items whose URL is an AMP page or on a syndication host — the copies
+ * that URL rules alone can't map back to the original. Runs during collection
+ * so exact dedup sees the resolved URL. Other items are left as they are.
+ * Never throws — an item whose page can't be fetched keeps its rule-based canonical.
+ *
+ * @param {Array} items - Collected items with `url` and `canonical_url`
+ * @returns {Promise<{checked: number, resolved: number}>}
+ */
+async function resolveDeclaredCanonicals(items) {
+  const candidates = items.filter(item => item.canonical_url && needsDeclaredCanonical(item.url));
+  let resolved = 0;
+
+  const queue = [...candidates];
+  async function worker() {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        const { text: html, url: finalUrl } = await fetchText(item.url, { timeoutMs: TIMEOUT_MS });
+        // Aggregator links often redirect to the publisher, which is as good as a declared canonical
+        const declared = canonicalizeUrl(extractArticle(html, { url: finalUrl }).canonicalUrl) || canonicalizeUrl(finalUrl);
+        if (declared && declared !== item.canonical_url && !needsDeclaredCanonical(declared)) {
+          item.canonical_url = declared;
+          resolved++;
+        }
+      } catch (err) {
+        logger.debug(`Declared canonical lookup failed: ${item.url}`, { error: err.message });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, candidates.length) }, worker));
+
+  if (candidates.length > 0) {
+    logger.info(`Declared canonicals: resolved ${resolved} of ${candidates.length} AMP or syndicated URLs`);
+  }
+  return { checked: candidates.length, resolved };
+}
+
+function needsDeclaredCanonical(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if (host.endsWith('.cdn.ampproject.org') || host.startsWith('amp.')) return true;
+  if (/(^|\/)amp(\/|$)|\.amp(\.html?)?$/.test(parsed.pathname) || parsed.searchParams.has('amp')) return true;
+  return SYNDICATION_HOSTS.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+module.exports = { resolveDeclaredCanonicals };
@@ -1,13 +1,7 @@
-const fs = require('fs');
-const path = require('path');
 const { generateText } = require('../../lib/ai');
 const { semanticSearch } = require('../../lib/embeddings');
 const logger = require('../../lib/logger');
-
-const chatPrompt = fs.readFileSync(
-  path.join(__dirname, 'prompts', 'chat.txt'),
-  'utf-8'
-);
+const { getPrompt } = require('./promptStore');
 
 /**
  * Knowledge base chat using semantic search + AI.
@@ -44,7 +38,8 @@ async function chat(message, options = {}) {
 
   const { text: answer } = await generateText({
     provider,
-    system: chatPrompt,
+    task: 'chat',
+    system: (await getPrompt('chat')).content,
     userMessage: `## Retrieved Context\n\n${contextBlock}\n\n## Question\n\n${message}`,
     maxTokens: 2048,
   });
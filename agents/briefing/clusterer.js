@@ -0,0 +1,127 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { generateEmbeddings, cosineSimilarity } = require('../../lib/embeddings');
+
+// Looser than the near-duplicate threshold: different outlets' takes on one story
+const DEFAULT_THRESHOLD = parseFloat(process.env.BRIEFING_CLUSTER_THRESHOLD) || 0.78;
+
+/**
+ * Group items into stories by embedding similarity.
+ *
+ * Greedy single pass: each item joins the most similar existing cluster
+ * (compared against the cluster centroid) or starts a new one. The lead item
+ * is the one that represents the cluster for scoring — a must_include item if
+ * there is one, otherwise the item with the most content.
+ *
+ * If embedding fails, every item becomes its own cluster and has no signature.
+ *
+ * @param {Array} items - Stored items (with id, title, content_snippet, content)
+ * @param {object} [options]
+ * @param {Map} [options.signatures] - Item → embedding already computed (e.g. by dedup); others are embedded here
+ * @param {number} [options.threshold] - Minimum similarity to the cluster centroid
+ * @returns {Promise<{clusters: Array<{lead: object, members: Array}>, signatures: Map}>}
+ *   Clusters (`members` includes the lead), and item → embedding for every item,
+ *   including those embedded here
+ */
+async function clusterItems(items, options = {}) {
+  const { threshold = DEFAULT_THRESHOLD } = options;
+  const signatures = new Map(options.signatures || []);
+
+  if (items.length === 0) return { clusters: [], signatures };
+
+  const missing = items.filter(item => !signatures.has(item));
+  if (missing.length > 0) {
+    try {
+      const vectors = await generateEmbeddings(missing.map(clusterText));
+      missing.forEach((item, i) => signatures.set(item, vectors[i]));
+    } catch (err) {
+      logger.warn('Story clustering skipped: embedding failed', { error: err.message });
+      return { clusters: items.map(item => ({ lead: item, members: [item] })), signatures };
+    }
+  }
+
+  const ordered = [...items].sort(byLeadPreference);
+  const clusters = [];
+
+  for (const item of ordered) {
+    const vector = signatures.get(item);
+    let best = null;
+    let bestSimilarity = threshold;
+
+    for (const cluster of clusters) {
+      const similarity = cosineSimilarity(vector, cluster.centroid);
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (best) {
+      best.members.push(item);
+      best.centroid = best.centroid.map((v, i) => v + (vector[i] - v) / best.members.length);
+    } else {
+      clusters.push({ lead: item, members: [item], centroid: [...vector] });
+    }
+  }
+
+  const multi = clusters.filter(c => c.members.length > 1);
+  logger.info(`Story clustering: ${items.length} items → ${clusters.length} stories`, {
+    multiSourceStories: multi.length,
+    largest: Math.max(...clusters.map(c => c.members.length)),
+  });
+
+  return {
+    clusters: clusters.map(({ lead, members }) => ({ lead, members })),
+    signatures,
+  };
+}
+
+/**
+ * Store clusters with more than one member and tag their items with cluster_id.
+ * Never throws — clusters are for display and must not fail the run.
+ *
+ * @param {Array<{lead: object, members: Array}>} clusters
+ * @returns {Promise<void>}
+ */
+async function storeClusters(clusters) {
+  for (const cluster of clusters) {
+    if (cluster.members.length < 2) continue;
+
+    try {
+      const { data, error } = await supabase
+        .from('briefing_story_clusters')
+        .insert({
+          label: cluster.lead.title,
+          lead_item_id: cluster.lead.id,
+          item_count: cluster.members.length,
+        })
+        .select('id')
+        .single();
+
+      if (error) throw error;
+      cluster.id = data.id;
+      cluster.members.forEach(m => { m.cluster_id = data.id; });
+
+      const { error: tagError } = await supabase
+        .from('briefing_raw_items')
+        .update({ cluster_id: data.id })
+        .in('id', cluster.members.map(m => m.id));
+
+      if (tagError) throw tagError;
+    } catch (err) {
+      logger.warn('Failed to store story cluster', { lead: cluster.lead.id, error: err.message });
+    }
+  }
+}
+
+function byLeadPreference(a, b) {
+  if (!!a.must_include !== !!b.must_include) return a.must_include ? -1 : 1;
+  return (b.content || '').length - (a.content || '').length;
+}
+
+function clusterText(item) {
+  const snippet = (item.content_snippet || item.content || '').substring(0, 300);
+  return `${item.title || ''}\n${snippet}`.trim() || item.url || 'untitled';
+}
+
+module.exports = { clusterItems, storeClusters };
@@ -0,0 +1,128 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { generateEmbeddings, cosineSimilarity } = require('../../lib/embeddings');
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.BRIEFING_DEDUP_THRESHOLD) || 0.88;
+const LOOKBACK_DAYS = 7;
+
+/**
+ * Find near-duplicate items by comparing title+snippet embeddings against
+ * each other and against signatures stored for the last 7 days.
+ *
+ * Within the batch, the item with the most content becomes the canonical copy.
+ * Anchors (e.g. manual submissions) are never marked as duplicates but can be
+ * the canonical item for others. If embedding fails, every item is treated as
+ * unique so the pipeline carries on with exact-match dedup only.
+ *
+ * @param {Array} items - Collected items (not yet stored)
+ * @param {object} [options]
+ * @param {Array} [options.anchors=[]] - Stored items that take precedence as canonical
+ * @param {number} [options.threshold] - Cosine similarity at or above which items are duplicates
+ * @returns {Promise<{unique: Array, duplicates: Array<{item: object, canonical: object, similarity: number}>, signatures: Map}>}
+ *   `canonical` is either another item in the batch (its id is assigned on insert) or `{ id }` of a stored item.
+ *   `signatures` maps each unique item and anchor to its embedding.
+ */
+async function findNearDuplicates(items, options = {}) {
+  const { anchors = [], threshold = DEFAULT_THRESHOLD } = options;
+  const signatures = new Map();
+
+  if (items.length === 0) {
+    return { unique: items, duplicates: [], signatures };
+  }
+
+  const all = [...anchors, ...items];
+  let vectors;
+  try {
+    vectors = await generateEmbeddings(all.map(signatureText));
+  } catch (err) {
+    logger.warn('Semantic dedup skipped: embedding failed', { error: err.message });
+    return { unique: items, duplicates: [], signatures };
+  }
+  all.forEach((item, i) => signatures.set(item, vectors[i]));
+
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const kept = [...anchors];
+  const duplicates = [];
+
+  // Richest copies first, so they become canonical for thinner syndicated versions
+  const ordered = [...items].sort((a, b) => (b.content || '').length - (a.content || '').length);
+
+  for (const item of ordered) {
+    const vector = signatures.get(item);
+
+    let best = null;
+    for (const candidate of kept) {
+      const similarity = cosineSimilarity(vector, signatures.get(candidate));
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { canonical: candidate, similarity };
+      }
+    }
+
+    if (!best) {
+      const { data: match, error } = await supabase.rpc('match_dedup_signature', {
+        query_embedding: `[${vector.join(',')}]`,
+        match_threshold: threshold,
+        since,
+      });
+
+      if (error) {
+        logger.debug('Dedup signature lookup failed', { error: error.message });
+      } else if (match && match.length > 0) {
+        best = { canonical: { id: match[0].raw_item_id }, similarity: match[0].similarity };
+      }
+    }
+
+    if (best) {
+      duplicates.push({ item, ...best });
+      signatures.delete(item);
+    } else {
+      kept.push(item);
+    }
+  }
+
+  const duplicateSet = new Set(duplicates.map(d => d.item));
+  const unique = items.filter(item => !duplicateSet.has(item));
+
+  if (duplicates.length > 0) {
+    logger.info(`Semantic dedup: collapsed ${duplicates.length} near-duplicates`, {
+      matchedRecent: duplicates.filter(d => !all.includes(d.canonical)).length,
+      threshold,
+    });
+  }
+
+  return { unique, duplicates, signatures };
+}
+
+/**
+ * Store dedup signatures for items that now have database IDs,
+ * so later runs can match against them. Never throws.
+ *
+ * @param {Map} signatures - Item → embedding, as returned by findNearDuplicates
+ * @returns {Promise<void>}
+ */
+async function storeSignatures(signatures) {
+  const rows = [];
+  for (const [item, vector] of signatures) {
+    if (!item.id) continue;
+    rows.push({
+      raw_item_id: item.id,
+      content_type: 'dedup_signature',
+      chunk_text: signatureText(item),
+      chunk_index: 0,
+      embedding: `[${vector.join(',')}]`,
+    });
+  }
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from('briefing_embeddings').insert(rows);
+  if (error) {
+    logger.warn('Failed to store dedup signatures', { error: error.message });
+  }
+}
+
+function signatureText(item) {
+  const snippet = (item.content_snippet || item.content || '').substring(0, 300);
+  return `${item.title || ''}\n${snippet}`.trim() || item.url || 'untitled';
+}
+
+module.exports = { findNearDuplicates, storeSignatures };
@@ -0,0 +1,141 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { fetchText } = require('../../lib/http');
+const { extractArticle } = require('../../lib/articleExtractor');
+const { canonicalizeUrl } = require('../../lib/url');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const CONCURRENCY = 4;
+// Below this, an extraction is treated as a failure (paywall stub, cookie wall, etc.)
+const MIN_ARTICLE_CHARS = 500;
+// Items already carrying this much text (transcripts, full RSS bodies) are left alone
+const ALREADY_FULL_CHARS = 2000;
+
+function loadDomainTimeouts() {
+  if (!process.env.BRIEFING_DOMAIN_TIMEOUTS) return {};
+  try {
+    return JSON.parse(process.env.BRIEFING_DOMAIN_TIMEOUTS);
+  } catch (err) {
+    logger.warn('Ignoring invalid BRIEFING_DOMAIN_TIMEOUTS JSON', { error: err.message });
+    return {};
+  }
+}
+
+const DOMAIN_TIMEOUTS = loadDomainTimeouts();
+
+/**
+ * Fetch and extract the full article text for selected items.
+ *
+ * Each item gets `metadata.full_text.status`:
+ *   - 'extracted'    — article text fetched and stored in `content`
+ *   - 'already_full' — item already had full content (transcript, full feed body)
+ *   - 'fallback'     — fetch or extraction failed; the original snippet is kept
+ *
+ * Updated content is written back to briefing_raw_items, along with the
+ * page's declared canonical URL when it has one (resolves AMP and syndicated copies).
+ *
+ * @param {Array} items - Scored items (with id, url, content, metadata)
+ * @param {object} [options]
+ * @param {object} [options.domainTimeouts] - Map of hostname → timeout ms (merged over BRIEFING_DOMAIN_TIMEOUTS)
+ * @param {number} [options.defaultTimeoutMs=10000] - Timeout for domains not in the map
+ * @returns {Promise<{extracted: number, alreadyFull: number, fallback: number}>}
+ */
+async function enrichItems(items, options = {}) {
+  const { defaultTimeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const domainTimeouts = { ...DOMAIN_TIMEOUTS, ...(options.domainTimeouts || {}) };
+  const stats = { extracted: 0, alreadyFull: 0, fallback: 0 };
+
+  const queue = [...items];
+  async function worker() {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      const status = await enrichItem(item, { domainTimeouts, defaultTimeoutMs });
+      if (status === 'extracted') stats.extracted++;
+      else if (status === 'already_full') stats.alreadyFull++;
+      else stats.fallback++;
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+
+  logger.info('Article enrichment complete', stats);
+  return stats;
+}
+
+async function enrichItem(item, { domainTimeouts, defaultTimeoutMs }) {
+  item.metadata = item.metadata || {};
+
+  // Manual submissions are extracted at submit time
+  if (item.metadata.full_text && item.metadata.full_text.status === 'extracted') {
+    return 'extracted';
+  }
+
+  const isTranscript = item.source_type === 'youtube_transcript' || item.source_type === 'podcast_transcript';
+  if (isTranscript || (item.content || '').length >= ALREADY_FULL_CHARS) {
+    item.metadata.full_text = { status: 'already_full', chars: (item.content || '').length };
+    return 'already_full';
+  }
+
+  let hostname = null;
+  try {
+    hostname = new URL(item.url).hostname.replace(/^www\./, '');
+  } catch {
+    item.metadata.full_text = { status: 'fallback', error: 'Invalid URL' };
+    return 'fallback';
+  }
+
+  const timeoutMs = timeoutForHost(hostname, domainTimeouts) || defaultTimeoutMs;
+  const startTime = Date.now();
+  let canonicalChanged = false;
+
+  try {
+    const { text: html } = await fetchText(item.url, { timeoutMs });
+    const article = extractArticle(html, { url: item.url });
+    const declaredCanonical = canonicalizeUrl(article.canonicalUrl);
+    if (declaredCanonical && declaredCanonical !== item.canonical_url) {
+      item.canonical_url = declaredCanonical;
+      canonicalChanged = true;
+    }
+
+    if (article.text.length < MIN_ARTICLE_CHARS) {
+      throw new Error(`Extracted only ${article.text.length} chars`);
+    }
+
+    item.content = article.text;
+    item.metadata.full_text = {
+      status: 'extracted',
+      chars: article.text.length,
+      duration_ms: Date.now() - startTime,
+    };
+  } catch (err) {
+    logger.debug(`Full-text extraction failed, keeping snippet: ${item.url}`, { error: err.message });
+    item.metadata.full_text = { status: 'fallback', error: err.message };
+  }
+
+  const update = { metadata: item.metadata };
+  if (item.metadata.full_text.status === 'extracted') update.content = item.content;
+  if (canonicalChanged) update.canonical_url = item.canonical_url;
+
+  const { error } = await supabase
+    .from('briefing_raw_items')
+    .update(update)
+    .eq('id', item.id);
+
+  if (error) {
+    logger.warn('Failed to store extracted article', { itemId: item.id, error: error.message });
+  }
+
+  return item.metadata.full_text.status;
+}
+
+// Match the host or any parent domain, so "ft.com" covers "www.ft.com" and "markets.ft.com"
+function timeoutForHost(hostname, domainTimeouts) {
+  const parts = hostname.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const domain = parts.slice(i).join('.');
+    if (domainTimeouts[domain]) return domainTimeouts[domain];
+  }
+  return null;
+}
+
+module.exports = { enrichItems };
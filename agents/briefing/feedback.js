@@ -0,0 +1,275 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { fetchAll } = require('../../lib/paginate');
+
+const EXAMPLE_SNIPPET_CHARS = 200;
+
+/**
+ * Record feedback on one section of an episode. The section's cited
+ * source items are stored with it, so they can serve as scoring examples.
+ *
+ * @param {object} params
+ * @param {string} params.episodeId
+ * @param {number} params.sectionIndex - Position in the episode's `sections`
+ * @param {number} params.rating - 1 (more like this) or -1 (less like this)
+ * @param {string} [params.comment]
+ * @returns {Promise<object>} The feedback row
+ */
+async function recordSectionFeedback({ episodeId, sectionIndex, rating, comment }) {
+  const { data: episode, error } = await supabase
+    .from('briefing_episodes')
+    .select('id, sections, source_item_ids')
+    .eq('id', episodeId)
+    .single();
+
+  if (error && error.code === 'PGRST116') throw notFound('Episode not found');
+  if (error) throw error;
+
+  const section = (episode.sections || [])[sectionIndex];
+  if (!section) throw notFound(`Episode has no section ${sectionIndex}`);
+
+  // Source markers are the model's output — keep only IDs that belong to the episode
+  const episodeItems = new Set(episode.source_item_ids || []);
+  const itemIds = (section.source_ids || []).filter(id => episodeItems.has(id));
+
+  return insertFeedback({
+    target_type: 'section',
+    episode_id: episodeId,
+    section_index: sectionIndex,
+    section_label: section.label,
+    raw_item_ids: itemIds,
+    rating,
+    comment: comment || null,
+  });
+}
+
+/**
+ * Record feedback on a single source item.
+ *
+ * @param {object} params
+ * @param {string} params.itemId
+ * @param {number} params.rating - 1 (more like this) or -1 (less like this)
+ * @param {string} [params.comment]
+ * @returns {Promise<object>} The feedback row
+ */
+async function recordItemFeedback({ itemId, rating, comment }) {
+  const { data: item, error } = await supabase
+    .from('briefing_raw_items')
+    .select('id, episode_id')
+    .eq('id', itemId)
+    .single();
+
+  if (error && error.code === 'PGRST116') throw notFound('Item not found');
+  if (error) throw error;
+
+  return insertFeedback({
+    target_type: 'item',
+    episode_id: item.episode_id,
+    raw_item_ids: [itemId],
+    rating,
+    comment: comment || null,
+  });
+}
+
+async function insertFeedback(row) {
+  const { data, error } = await supabase
+    .from('briefing_feedback')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record feedback: ${error.message}`);
+  }
+
+  logger.info('Feedback recorded', { target: row.target_type, rating: row.rating, items: row.raw_item_ids.length });
+  return data;
+}
+
+/**
+ * Recent liked and disliked items, for few-shot guidance in the scoring prompt.
+ * The newest rating of an item wins. Never throws — scoring carries on without examples.
+ *
+ * @param {object} [options]
+ * @param {number} [options.days=60] - Look-back window
+ * @param {number} [options.perRating=4] - Examples of each kind
+ * @returns {Promise<{positive: Array, negative: Array}>} Each example: { title, category, snippet, comment }
+ */
+async function getFeedbackExamples(options = {}) {
+  const { days = 60, perRating = 4 } = options;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const empty = { positive: [], negative: [] };
+
+  try {
+    const { data: feedback, error } = await supabase
+      .from('briefing_feedback')
+      .select('raw_item_ids, rating, comment, created_at')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) throw error;
+    if (!feedback || feedback.length === 0) return empty;
+
+    const ratingByItem = new Map();
+    for (const entry of feedback) {
+      for (const itemId of entry.raw_item_ids || []) {
+        if (!ratingByItem.has(itemId)) ratingByItem.set(itemId, entry);
+      }
+    }
+
+    const wanted = (rating) => [...ratingByItem]
+      .filter(([, entry]) => entry.rating === rating)
+      .slice(0, perRating)
+      .map(([itemId]) => itemId);
+    const itemIds = [...wanted(1), ...wanted(-1)];
+    if (itemIds.length === 0) return empty;
+
+    const { data: items, error: itemsError } = await supabase
+      .from('briefing_raw_items')
+      .select('id, title, content_snippet, metadata')
+      .in('id', itemIds);
+
+    if (itemsError) throw itemsError;
+
+    const itemById = new Map((items || []).map(i => [i.id, i]));
+    const toExample = (itemId) => {
+      const item = itemById.get(itemId);
+      if (!item) return null;
+      return {
+        title: item.title,
+        category: (item.metadata && item.metadata.category) || null,
+        snippet: (item.content_snippet || '').substring(0, EXAMPLE_SNIPPET_CHARS),
+        comment: ratingByItem.get(itemId).comment || null,
+      };
+    };
+
+    return {
+      positive: wanted(1).map(toExample).filter(Boolean),
+      negative: wanted(-1).map(toExample).filter(Boolean),
+    };
+  } catch (err) {
+    logger.warn('Failed to load feedback examples', { error: err.message });
+    return empty;
+  }
+}
+
+/**
+ * Weekly score distributions per category next to the feedback given in
+ * the same week, to show whether feedback is shifting what gets scored highly.
+ *
+ * @param {object} [options]
+ * @param {number} [options.days=90] - Look-back window
+ * @returns {Promise<Array>} One entry per category: { category, feedback: {positive, negative}, weeks: [...] }
+ */
+async function getFeedbackSummary(options = {}) {
+  const { days = 90 } = options;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const scores = await fetchAll(() => supabase
+    .from('briefing_item_scores')
+    .select('score, selected, category, created_at')
+    .not('score', 'is', null)
+    .gte('created_at', since)
+    .order('created_at', { ascending: true }));
+
+  const feedback = await fetchAll(() => supabase
+    .from('briefing_feedback')
+    .select('raw_item_ids, rating, created_at')
+    .gte('created_at', since)
+    .order('created_at', { ascending: true }));
+
+  // Feedback is attributed to the categories of the items it covers
+  const itemIds = [...new Set(feedback.flatMap(f => f.raw_item_ids || []))];
+  const categoryByItem = new Map();
+  for (let i = 0; i < itemIds.length; i += 200) {
+    const { data: items, error } = await supabase
+      .from('briefing_raw_items')
+      .select('id, metadata')
+      .in('id', itemIds.slice(i, i + 200));
+    if (error) throw error;
+    for (const item of items || []) {
+      categoryByItem.set(item.id, (item.metadata && item.metadata.category) || null);
+    }
+  }
+
+  const categories = new Map();
+  const bucketFor = (category, createdAt) => {
+    const key = category || 'uncategorised';
+    if (!categories.has(key)) {
+      categories.set(key, { category: key, feedback: { positive: 0, negative: 0 }, weeks: new Map() });
+    }
+    const entry = categories.get(key);
+    const week = weekStart(createdAt);
+    if (!entry.weeks.has(week)) {
+      entry.weeks.set(week, {
+        week_start: week,
+        items_scored: 0,
+        items_selected: 0,
+        avg_score: null,
+        distribution: { '0-3': 0, '4-5': 0, '6-7': 0, '8-10': 0 },
+        feedback_positive: 0,
+        feedback_negative: 0,
+        _scoreSum: 0,
+      });
+    }
+    return { entry, week: entry.weeks.get(week) };
+  };
+
+  for (const row of scores) {
+    const { week } = bucketFor(row.category, row.created_at);
+    week.items_scored++;
+    week._scoreSum += row.score;
+    if (row.selected) week.items_selected++;
+    week.distribution[scoreBand(row.score)]++;
+  }
+
+  for (const row of feedback) {
+    const rowCategories = new Set((row.raw_item_ids || []).map(id => categoryByItem.get(id) || null));
+    for (const category of rowCategories) {
+      const { entry, week } = bucketFor(category, row.created_at);
+      if (row.rating > 0) {
+        entry.feedback.positive++;
+        week.feedback_positive++;
+      } else {
+        entry.feedback.negative++;
+        week.feedback_negative++;
+      }
+    }
+  }
+
+  return [...categories.values()]
+    .map(entry => ({
+      ...entry,
+      weeks: [...entry.weeks.values()]
+        .sort((a, b) => a.week_start.localeCompare(b.week_start))
+        .map(({ _scoreSum, ...week }) => ({
+          ...week,
+          avg_score: week.items_scored > 0 ? Math.round((_scoreSum / week.items_scored) * 10) / 10 : null,
+        })),
+    }))
+    .sort((a, b) => a.category.localeCompare(b.category));
+}
+
+function scoreBand(score) {
+  if (score <= 3) return '0-3';
+  if (score <= 5) return '4-5';
+  if (score <= 7) return '6-7';
+  return '8-10';
+}
+
+// Monday of the week containing the timestamp, as YYYY-MM-DD (UTC)
+function weekStart(timestamp) {
+  const date = new Date(timestamp);
+  const day = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - day);
+  return date.toISOString().split('T')[0];
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.statusCode = 404;
+  return err;
+}
+
+module.exports = { recordSectionFeedback, recordItemFeedback, getFeedbackExamples, getFeedbackSummary };
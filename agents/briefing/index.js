@@ -4,9 +4,76 @@ const router = express.Router();
 const auth = require('../../middleware/auth');
 const logger = require('../../lib/logger');
 const supabase = require('../../lib/supabase');
-const { getProviders, getDefaultProvider } = require('../../lib/ai');
+const { TASKS, getProviders, getDefaultProvider } = require('../../lib/ai');
 const { runPipeline } = require('./pipeline');
 const { chat } = require('./chat');
+const { getAdapter } = require('./sources');
+const { validateSource } = require('./sourceValidation');
+const { getSourceHealth } = require('./sourceHealth');
+const { submitLink, getPendingSubmissions } = require('./submissions');
+const { validateQuery } = require('./queryValidation');
+const { getQueryStats } = require('./queryStats');
+const { suggestQueries, acceptSuggestion, rejectSuggestion } = require('./querySuggester');
+const { getThreadTimeline } = require('./threads');
+const { getEpisodeScoring } = require('./itemScores');
+const { recordSectionFeedback, recordItemFeedback, getFeedbackSummary } = require('./feedback');
+const { getPrompt, listPrompts, getPromptHistory, updatePrompt, rollbackPrompt } = require('./promptStore');
+
+/**
+ * Validate a feedback body: rating 1 or -1, optional string comment.
+ * Returns an error message, or null if valid.
+ */
+function feedbackError({ rating, comment }) {
+  if (rating !== 1 && rating !== -1) return 'rating must be 1 (more like this) or -1 (less like this)';
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') return 'comment must be a string';
+  if (comment && comment.length > 2000) return 'comment must be at most 2000 characters';
+  return null;
+}
+
+/**
+ * Validate per-run model overrides: an object of task → model ID.
+ * Returns an error message, or null if valid (or not given).
+ */
+function modelsError(models) {
+  if (models === undefined) return null;
+  if (!models || typeof models !== 'object' || Array.isArray(models)) return 'models must be an object of task → model ID';
+  for (const [task, model] of Object.entries(models)) {
+    if (!TASKS.includes(task)) return `Unknown task in models: ${task}. Valid tasks: ${TASKS.join(', ')}`;
+    if (typeof model !== 'string' || !model.trim()) return `models.${task} must be a model ID`;
+  }
+  return null;
+}
+
+/**
+ * Attach story clusters to an episode: every item in each cited story's
+ * cluster (not just the cited ones), and `cluster_size` on each source.
+ */
+async function attachClusters(episode) {
+  const clusterIds = [...new Set(episode.sources.map(s => s.cluster_id).filter(Boolean))];
+  episode.clusters = [];
+  if (clusterIds.length > 0) {
+    const { data: clusterItems } = await supabase
+      .from('briefing_raw_items')
+      .select('id, title, url, source_type, cluster_id, metadata')
+      .in('cluster_id', clusterIds);
+
+    const byCluster = new Map(clusterIds.map(id => [id, []]));
+    for (const item of clusterItems || []) {
+      byCluster.get(item.cluster_id).push({
+        id: item.id,
+        title: item.title,
+        url: item.url,
+        source_type: item.source_type,
+        source_name: (item.metadata && (item.metadata.source_name || item.metadata.site_name)) || null,
+      });
+    }
+    episode.clusters = clusterIds.map(id => ({ id, source_count: byCluster.get(id).length, sources: byCluster.get(id) }));
+  }
+  for (const source of episode.sources) {
+    const cluster = episode.clusters.find(c => c.id === source.cluster_id);
+    source.cluster_size = cluster ? cluster.source_count : 1;
+  }
+}
 
 // GET /providers — list available AI providers for the frontend toggle
 router.get('/providers', (req, res) => {
@@ -64,13 +131,15 @@ router.get('/episodes/latest', async (req, res, next) => {
     if (episode.source_item_ids && episode.source_item_ids.length > 0) {
       const { data: sources } = await supabase
         .from('briefing_raw_items')
-        .select('id, title, url, source_type, relevance_score, published_at')
+        .select('id, title, url, source_type, relevance_score, published_at, cluster_id')
         .in('id', episode.source_item_ids);
       episode.sources = sources || [];
     } else {
       episode.sources = [];
     }
 
+    await attachClusters(episode);
+
     res.json(episode);
   } catch (err) {
     next(err);
@@ -95,19 +164,58 @@ router.get('/episodes/:id', async (req, res, next) => {
     if (episode.source_item_ids && episode.source_item_ids.length > 0) {
       const { data: sources } = await supabase
         .from('briefing_raw_items')
-        .select('id, title, url, source_type, content_snippet, relevance_score, published_at, metadata')
+        .select('id, title, url, source_type, content_snippet, relevance_score, published_at, metadata, cluster_id')
         .in('id', episode.source_item_ids);
       episode.sources = sources || [];
     } else {
       episode.sources = [];
     }
 
+    await attachClusters(episode);
+
     res.json(episode);
   } catch (err) {
     next(err);
   }
 });
 
+// GET /episodes/:id/scoring — every item considered for an episode, with the scorer's reasons
+router.get('/episodes/:id/scoring', async (req, res, next) => {
+  try {
+    const scoring = await getEpisodeScoring(req.params.id);
+    if (!scoring) {
+      return res.status(404).json({ error: 'Episode not found' });
+    }
+    res.json(scoring);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /episodes/:id/sections/:index/feedback — rate one section of an episode
+router.post('/episodes/:id/sections/:index/feedback', auth, async (req, res, next) => {
+  try {
+    const sectionIndex = Number(req.params.index);
+    if (!Number.isInteger(sectionIndex) || sectionIndex < 0) {
+      return res.status(400).json({ error: 'Section index must be a non-negative integer' });
+    }
+    const invalid = feedbackError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const feedback = await recordSectionFeedback({
+      episodeId: req.params.id,
+      sectionIndex,
+      rating: req.body.rating,
+      comment: req.body.comment ? req.body.comment.trim() : null,
+    });
+    res.status(201).json(feedback);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /audio/:id.mp3 — audio file streaming (proxy from Supabase Storage)
 router.get('/audio/:id.mp3', async (req, res, next) => {
   try {
@@ -135,6 +243,19 @@ router.get('/audio/:id.mp3', async (req, res, next) => {
   }
 });
 
+// GET /threads/:id — a story's timeline across episodes
+router.get('/threads/:id', async (req, res, next) => {
+  try {
+    const thread = await getThreadTimeline(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    res.json(thread);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // POST /chat — knowledge base chat (semantic search + AI)
 router.post('/chat', async (req, res, next) => {
   try {
@@ -167,21 +288,92 @@ router.get('/queries', async (req, res, next) => {
   }
 });
 
+// GET /queries/stats — per-query contribution over a window (?days=30)
+router.get('/queries/stats', async (req, res, next) => {
+  try {
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+    const queries = await getQueryStats({ days });
+    const unproductive = queries.filter(q => q.active && q.zero_contributions).map(q => q.id);
+    res.json({ days, queries, unproductive });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /queries/suggestions — AI-suggested query changes (?status=pending|accepted|rejected)
+router.get('/queries/suggestions', async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, accepted or rejected' });
+    }
+
+    const { data: suggestions, error } = await supabase
+      .from('briefing_query_suggestions')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ suggestions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /queries/suggestions — generate suggestions now instead of waiting for the weekly run
+router.post('/queries/suggestions', auth, async (req, res, next) => {
+  try {
+    const { provider, models } = req.body;
+    const invalidModels = modelsError(models);
+    if (invalidModels) {
+      return res.status(400).json({ error: invalidModels });
+    }
+
+    const suggestions = await suggestQueries({ provider, models });
+    res.status(201).json({ suggestions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /queries/suggestions/:id/accept — apply a suggestion (create or retire the query)
+router.post('/queries/suggestions/:id/accept', auth, async (req, res, next) => {
+  try {
+    const result = await acceptSuggestion(req.params.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /queries/suggestions/:id/reject — dismiss a suggestion
+router.post('/queries/suggestions/:id/reject', auth, async (req, res, next) => {
+  try {
+    const suggestion = await rejectSuggestion(req.params.id);
+    res.json(suggestion);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // POST /queries — add a standing query
 router.post('/queries', auth, async (req, res, next) => {
   try {
-    const { query, category } = req.body;
-
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      return res.status(400).json({ error: 'query is required' });
+    const { errors, value } = validateQuery(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
     }
 
     const { data, error } = await supabase
       .from('briefing_search_queries')
       .insert({
-        query: query.trim(),
-        category: category || null,
+        category: null,
+        search_backend: null,
+        config: {},
         active: true,
+        ...value,
         added_by: 'sam',
       })
       .select()
@@ -195,6 +387,35 @@ router.post('/queries', auth, async (req, res, next) => {
   }
 });
 
+// PATCH /queries/:id — update a standing query (text, backend, search options, active)
+router.patch('/queries/:id', auth, async (req, res, next) => {
+  try {
+    const { errors, value } = validateQuery(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+
+    const { data, error } = await supabase
+      .from('briefing_search_queries')
+      .update(value)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error && error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Query not found' });
+    }
+    if (error) throw error;
+
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // DELETE /queries/:id — remove a standing query
 router.delete('/queries/:id', auth, async (req, res, next) => {
   try {
@@ -211,9 +432,323 @@ router.delete('/queries/:id', auth, async (req, res, next) => {
   }
 });
 
+// GET /sources — list configured sources (optionally filtered by ?type= and ?active=)
+router.get('/sources', auth, async (req, res, next) => {
+  try {
+    let query = supabase
+      .from('briefing_sources')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (req.query.type) query = query.eq('source_type', req.query.type);
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query = query.eq('active', req.query.active === 'true');
+    }
+
+    const { data: sources, error } = await query;
+    if (error) throw error;
+
+    res.json({ sources });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /sources/health — per-source success rate and last good fetch (?days=30)
+router.get('/sources/health', auth, async (req, res, next) => {
+  try {
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+    const sources = await getSourceHealth({ days });
+    res.json({ days, sources });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /sources — add a source
+router.post('/sources', auth, async (req, res, next) => {
+  try {
+    const { errors, value } = validateSource(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid source', details: errors });
+    }
+
+    const { data, error } = await supabase
+      .from('briefing_sources')
+      .insert({ config: {}, active: true, ...value })
+      .select()
+      .single();
+
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: 'A source with this url already exists' });
+    }
+    if (error) throw error;
+
+    res.status(201).json(data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /sources/:id — update a source (e.g. fix its URL, tweak selectors, deactivate)
+router.patch('/sources/:id', auth, async (req, res, next) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('briefing_sources')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError && fetchError.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    if (fetchError) throw fetchError;
+
+    const { errors, value } = validateSource(req.body, { partial: true, sourceType: existing.source_type });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid source', details: errors });
+    }
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+
+    // Re-enabling starts a fresh failure streak, or the next failure would switch it off again
+    if (value.active === true && existing.active === false) {
+      value.consecutive_failures = 0;
+      value.deactivated_reason = null;
+    }
+
+    const { data, error } = await supabase
+      .from('briefing_sources')
+      .update(value)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: 'A source with this url already exists' });
+    }
+    if (error) throw error;
+
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /sources/:id — remove a source that has never produced items
+router.delete('/sources/:id', auth, async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('briefing_sources')
+      .delete()
+      .eq('id', req.params.id);
+
+    // Raw items keep a foreign key to their source, so used sources can only be deactivated
+    if (error && error.code === '23503') {
+      return res.status(409).json({
+        error: 'Source has collected items and cannot be deleted. PATCH it with { "active": false } instead.',
+      });
+    }
+    if (error) throw error;
+
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /sources/:id/test — fetch a source once and preview the items, without saving anything
+router.post('/sources/:id/test', auth, async (req, res, next) => {
+  try {
+    const { data: source, error } = await supabase
+      .from('briefing_sources')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error && error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    if (error) throw error;
+
+    const adapter = getAdapter(source.source_type);
+    if (!adapter) {
+      return res.status(400).json({ error: `No adapter registered for source_type "${source.source_type}"` });
+    }
+
+    const maxAgeHours = parseInt(req.body && req.body.max_age_hours, 10) || undefined;
+    let result = null;
+    const startTime = Date.now();
+
+    const items = await adapter.fetch({
+      sources: [source],
+      maxAgeHours,
+      onSourceResult: (_, r) => { result = r; },
+    });
+
+    res.json({
+      source,
+      result: result || { status: 'skipped', itemCount: 0, error: 'Adapter did not run (check its API key configuration)' },
+      duration_ms: Date.now() - startTime,
+      item_count: items.length,
+      items: items.slice(0, 10).map(item => ({
+        title: item.title,
+        url: item.url,
+        published_at: item.published_at,
+        content_snippet: item.content_snippet,
+        content_length: (item.content || '').length,
+        metadata: item.metadata,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /prompts — every prompt with its active version
+router.get('/prompts', auth, async (req, res, next) => {
+  try {
+    const prompts = await listPrompts();
+    res.json({ prompts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /prompts/:key — active version and full history
+router.get('/prompts/:key', auth, async (req, res, next) => {
+  try {
+    const active = await getPrompt(req.params.key);
+    const history = await getPromptHistory(req.params.key);
+    res.json({ ...active, history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /prompts/:key — save new content as the next version
+router.put('/prompts/:key', auth, async (req, res, next) => {
+  try {
+    const { content, updated_by: updatedBy, note } = req.body;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+    if (updatedBy !== undefined && (typeof updatedBy !== 'string' || !updatedBy.trim())) {
+      return res.status(400).json({ error: 'updated_by must be a non-empty string' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const version = await updatePrompt(req.params.key, {
+      content,
+      updatedBy: updatedBy ? updatedBy.trim() : undefined,
+      note: note ? note.trim() : null,
+    });
+    res.status(201).json(version);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /prompts/:key/rollback — make an earlier version active again
+router.post('/prompts/:key/rollback', auth, async (req, res, next) => {
+  try {
+    const { version, updated_by: updatedBy } = req.body;
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+    if (updatedBy !== undefined && (typeof updatedBy !== 'string' || !updatedBy.trim())) {
+      return res.status(400).json({ error: 'updated_by must be a non-empty string' });
+    }
+
+    const restored = await rollbackPrompt(req.params.key, {
+      version,
+      updatedBy: updatedBy ? updatedBy.trim() : undefined,
+    });
+    res.status(201).json(restored);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /items/pending — submitted links waiting for the next briefing
+router.get('/items/pending', auth, async (req, res, next) => {
+  try {
+    const items = await getPendingSubmissions();
+    res.json({ items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /items — submit a link to be included in the next briefing
+router.post('/items', auth, async (req, res, next) => {
+  try {
+    const { url, note } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch {
+      return res.status(400).json({ error: 'url must be a valid URL' });
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return res.status(400).json({ error: 'url must be http or https' });
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const item = await submitLink({ url: parsed.toString(), note: note ? note.trim() : null });
+    res.status(201).json(item);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /items/:id/feedback — rate a single source item
+router.post('/items/:id/feedback', auth, async (req, res, next) => {
+  try {
+    const invalid = feedbackError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const feedback = await recordItemFeedback({
+      itemId: req.params.id,
+      rating: req.body.rating,
+      comment: req.body.comment ? req.body.comment.trim() : null,
+    });
+    res.status(201).json(feedback);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /feedback/summary — weekly score distributions and feedback per category (?days=90)
+router.get('/feedback/summary', async (req, res, next) => {
+  try {
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 90));
+    const categories = await getFeedbackSummary({ days });
+    res.json({ days, categories });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /generate/stream — SSE endpoint for pipeline with real-time status updates
 router.get('/generate/stream', auth, (req, res) => {
-  const { provider } = req.query;
+  // models[script]=... in the query string arrives as an object
+  const { provider, models } = req.query;
 
   // Validate provider if given
   const validProviders = getProviders().map(p => p.id);
@@ -223,6 +758,11 @@ router.get('/generate/stream', auth, (req, res) => {
     });
   }
 
+  const invalidModels = modelsError(models);
+  if (invalidModels) {
+    return res.status(400).json({ error: invalidModels });
+  }
+
   // Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -256,7 +796,7 @@ router.get('/generate/stream', auth, (req, res) => {
     }
   }
 
-  runPipeline({ provider, onStatus })
+  runPipeline({ provider, models, onStatus })
     .then((episode) => {
       if (!clientDisconnected) {
         res.write(`data: ${JSON.stringify({ type: 'complete', episode })}\n\n`);
@@ -274,10 +814,10 @@ router.get('/generate/stream', auth, (req, res) => {
     });
 });
 
-// POST /generate — manual pipeline trigger with optional provider selection
+// POST /generate — manual pipeline trigger with optional provider and model overrides
 router.post('/generate', auth, async (req, res, next) => {
   try {
-    const { provider } = req.body || {};
+    const { provider, models } = req.body || {};
 
     // Validate provider if given
     const validProviders = getProviders().map(p => p.id);
@@ -287,7 +827,12 @@ router.post('/generate', auth, async (req, res, next) => {
       });
     }
 
-    runPipeline({ provider }).catch(err => {
+    const invalidModels = modelsError(models);
+    if (invalidModels) {
+      return res.status(400).json({ error: invalidModels });
+    }
+
+    runPipeline({ provider, models }).catch(err => {
       logger.error('Manual pipeline run failed', { error: err.message });
     });
 
@@ -317,6 +862,22 @@ if (cron.validate(cronExpression)) {
   logger.error(`Invalid cron expression: "${cronExpression}"`);
 }
 
+// Weekly review of the standing query list
+const suggestionCron = process.env.QUERY_SUGGESTION_CRON || '0 6 * * 1';
+
+if (cron.validate(suggestionCron)) {
+  cron.schedule(suggestionCron, () => {
+    logger.info('Cron triggered: suggesting standing queries');
+    suggestQueries().catch(err => {
+      logger.error('Query suggestion run failed', { error: err.message });
+    });
+  }, { timezone: 'Europe/London' });
+
+  logger.info(`Query suggestion cron scheduled: "${suggestionCron}" (Europe/London)`);
+} else {
+  logger.error(`Invalid query suggestion cron expression: "${suggestionCron}"`);
+}
+
 const meta = {
   name: 'briefing',
   description: "Sam's Morning Briefing — daily audio intelligence briefing on agentic commerce",
@@ -0,0 +1,122 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+
+/**
+ * Store the score and reason for every item considered for an episode,
+ * selected or not, and the selection rule that admitted or excluded it.
+ * Items whose scoring batch failed are stored with a NULL score; a must_include
+ * item admitted without a score says so. Called once the episode row exists, so
+ * a run that aborts before then (nothing collected, everything scored too low)
+ * leaves no audit rows. Never throws.
+ *
+ * @param {object} params
+ * @param {string} params.episodeId - The episode being generated
+ * @param {Array} params.items - Every item sent to the scorer (story leads)
+ * @param {Array} params.scored - Items that received a score (`allItems` from scoreItems)
+ * @param {Array} params.selected - Items selected for the episode
+ * @param {object} params.scoring - Scoring metadata (provider, model, prompt_version)
+ * @returns {Promise<void>}
+ */
+async function recordScores({ episodeId, items, scored, selected, scoring }) {
+  const scoredById = new Map(scored.map(item => [item.id, item]));
+  const selectedById = new Map(selected.map(item => [item.id, item]));
+
+  const rows = items.filter(item => item.id).map(item => {
+    const result = scoredById.get(item.id);
+    const chosen = selectedById.get(item.id);
+    const rule = (result || chosen || {})._selectionRule || 'not_scored';
+    return {
+      episode_id: episodeId,
+      raw_item_id: item.id,
+      score: result ? result.relevance_score : null,
+      reason: result
+        ? result._scoreReason
+        : rule === 'must_include'
+          ? 'Not scored: scoring batch failed; admitted as a manual submission'
+          : 'Not scored: scoring batch failed',
+      selected: !!chosen,
+      selection_rule: rule,
+      category: (item.metadata && item.metadata.category) || null,
+      provider: scoring.provider || null,
+      model: scoring.model || null,
+      prompt_version: scoring.prompt_version || null,
+    };
+  });
+  if (rows.length === 0) return;
+
+  try {
+    const { error } = await supabase.from('briefing_item_scores').insert(rows);
+    if (error) {
+      logger.warn('Failed to record item scores', { episodeId, error: error.message });
+    }
+  } catch (err) {
+    logger.warn('Failed to record item scores', { episodeId, error: err.message });
+  }
+}
+
+/**
+ * Every item scored for an episode, split into selected and rejected,
+ * highest score first.
+ *
+ * @param {string} episodeId
+ * @returns {Promise<object|null>} `{ episode_id, date, scoring, selected, rejected }`, or null if the episode doesn't exist
+ */
+async function getEpisodeScoring(episodeId) {
+  const { data: episode, error } = await supabase
+    .from('briefing_episodes')
+    .select('id, date, metadata')
+    .eq('id', episodeId)
+    .single();
+
+  if (error && error.code === 'PGRST116') return null;
+  if (error) throw error;
+
+  const { data: scores, error: scoresError } = await supabase
+    .from('briefing_item_scores')
+    .select('raw_item_id, score, reason, selected, selection_rule, provider, model, prompt_version, created_at')
+    .eq('episode_id', episodeId)
+    .order('score', { ascending: false, nullsFirst: false });
+
+  if (scoresError) throw scoresError;
+
+  const itemIds = (scores || []).map(s => s.raw_item_id);
+  const { data: items, error: itemsError } = itemIds.length > 0
+    ? await supabase
+      .from('briefing_raw_items')
+      .select('id, title, url, source_type, must_include, cluster_id, metadata')
+      .in('id', itemIds)
+    : { data: [], error: null };
+
+  if (itemsError) throw itemsError;
+
+  const itemById = new Map((items || []).map(i => [i.id, i]));
+  const entries = (scores || []).map(s => {
+    const item = itemById.get(s.raw_item_id) || {};
+    return {
+      item_id: s.raw_item_id,
+      title: item.title || null,
+      url: item.url || null,
+      source_type: item.source_type || null,
+      category: (item.metadata && item.metadata.category) || null,
+      must_include: !!item.must_include,
+      cluster_id: item.cluster_id || null,
+      score: s.score,
+      reason: s.reason,
+      selection_rule: s.selection_rule,
+      provider: s.provider,
+      model: s.model,
+      prompt_version: s.prompt_version,
+      scored_at: s.created_at,
+    };
+  });
+
+  return {
+    episode_id: episode.id,
+    date: episode.date,
+    scoring: (episode.metadata && episode.metadata.scoring) || null,
+    selected: entries.filter((e, i) => scores[i].selected),
+    rejected: entries.filter((e, i) => !scores[i].selected),
+  };
+}
+
+module.exports = { recordScores, getEpisodeScoring };
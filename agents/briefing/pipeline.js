@@ -1,25 +1,47 @@
 const supabase = require('../../lib/supabase');
 const logger = require('../../lib/logger');
 const { notify } = require('../../lib/slack');
-const { getDefaultProvider } = require('../../lib/ai');
-const { fetchSearchResults } = require('./sources/search');
+const { getDefaultProvider, getModel } = require('../../lib/ai');
+const { collectSources } = require('./sources');
+const { getPendingSubmissions } = require('./submissions');
+const { recordQueryRuns } = require('./queryStats');
+const { findNearDuplicates, storeSignatures } = require('./dedup');
+const { canonicalizeUrl } = require('../../lib/url');
+const { clusterItems, storeClusters } = require('./clusterer');
+const { matchThreads, recordThreads } = require('./threads');
 const { scoreItems } = require('./scorer');
+const { recordScores } = require('./itemScores');
+const { enrichItems } = require('./enricher');
 const { writeScript } = require('./scriptWriter');
+const { verifyScript } = require('./verifier');
 const { generateAudio } = require('./tts');
 
+const TOTAL_STEPS = 12;
+// Extra outlets per story passed to enrichment and the script writer
+const MAX_RELATED_SOURCES = 3;
+
 /**
  * Main briefing pipeline orchestrator.
- * Coordinates: source collection (Tavily web search) → scoring → script writing → TTS → publishing.
+ * Coordinates: source collection (all registered source adapters) → scoring → full-text extraction → script writing → claim verification → TTS → publishing.
  *
  * @param {object} [options]
  * @param {string} [options.provider] - AI provider ('claude' or 'openai'). Defaults to AI_PROVIDER env.
+ * @param {object} [options.models] - Model overrides for this run, task → model ID (e.g. { script: 'claude-opus-4-1' })
+ * @param {string[]} [options.adapters] - Source adapter types to run (defaults to all enabled adapters)
+ * @param {Function} [options.onStatus] - Progress callback for the SSE stream
  * @returns {Promise<object>} The created episode record
  */
 async function runPipeline(options = {}) {
   const provider = options.provider || getDefaultProvider();
+  const models = options.models || {};
   const onStatus = options.onStatus || (() => {});
   const date = new Date().toISOString().split('T')[0];
   let episodeId = null;
+  const episodeMetadata = {
+    provider,
+    // Every task the run may call on; search applies when a query uses an LLM search backend
+    models: Object.fromEntries(['search', 'scoring', 'script', 'summary', 'verification'].map(task => [task, getModel(task, { provider, models })])),
+  };
 
   logger.info('=== Briefing pipeline started ===', { date, provider });
 
@@ -38,24 +60,38 @@ async function runPipeline(options = {}) {
       activeQueries: qErr ? `error: ${qErr.message}` : queryCount,
     });
 
-    // Step 1: Collect sources via Tavily web search
+    // Step 1: Collect sources — every registered adapter runs in parallel
     logger.info('Step 1: Collecting sources');
-    onStatus({ step: 1, totalSteps: 11, status: 'running', message: 'Running standing web searches...', detail: null });
-
-    const items = [];
-
-    try {
-      const results = await fetchSearchResults({ provider });
-      items.push(...results);
-      logger.info(`Web search: ${results.length} items`);
-    } catch (err) {
-      logger.error('Web search failed', { error: err.message });
+    onStatus({ step: 1, totalSteps: TOTAL_STEPS, status: 'running', message: 'Collecting from web search, feeds, sites and transcripts...', detail: null });
+
+    const { items, report: sourceReport } = await collectSources({
+      provider,
+      models,
+      adapters: options.adapters,
+      onStatus: (result) => {
+        const message = result.status === 'ok'
+          ? `${result.adapter}: ${result.itemCount} items`
+          : `${result.adapter}: ${result.status}${result.error ? ` (${result.error})` : ''}`;
+        onStatus({ step: 1, totalSteps: TOTAL_STEPS, status: 'running', message, detail: result });
+      },
+    });
+    episodeMetadata.sources = sourceReport;
+    const collectedItems = [...items];
+
+    // Links queued via POST /items are already stored; they skip dedup and are always selected
+    const submitted = await getPendingSubmissions();
+    if (submitted.length > 0) {
+      logger.info(`Including ${submitted.length} manually submitted links`);
+      const submittedUrls = new Set(submitted.map(s => s.canonical_url || canonicalizeUrl(s.url)));
+      const withoutSubmitted = items.filter(item => !submittedUrls.has(item.canonical_url));
+      items.length = 0;
+      items.push(...withoutSubmitted);
     }
 
     // Step 2: Early exit if nothing collected
-    if (items.length === 0) {
+    if (items.length === 0 && submitted.length === 0) {
       logger.warn('No items collected — aborting pipeline');
-      onStatus({ step: 2, totalSteps: 11, status: 'skipped', message: 'No items collected. Pipeline aborted.', detail: null });
+      onStatus({ step: 2, totalSteps: TOTAL_STEPS, status: 'skipped', message: 'No items collected. Pipeline aborted.', detail: null });
       await notify({ text: `⚠️ Briefing pipeline for ${date}: No items collected. Skipping.` });
       return null;
     }
@@ -66,38 +102,51 @@ async function runPipeline(options = {}) {
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
     const { data: recentItems } = await supabase
       .from('briefing_raw_items')
-      .select('url, title')
+      .select('url, canonical_url, title')
       .gte('fetched_at', sevenDaysAgo);
 
-    if (recentItems && recentItems.length > 0) {
-      const recentUrls = new Set(recentItems.map(r => r.url).filter(Boolean));
-      const recentTitles = new Set(recentItems.map(r => (r.title || '').toLowerCase().trim()).filter(Boolean));
-      const beforeCount = items.length;
-
-      // Remove items whose URL or exact title already appeared in the last 7 days
-      const deduped = items.filter(item => {
-        if (item.url && recentUrls.has(item.url)) return false;
-        if (item.title && recentTitles.has(item.title.toLowerCase().trim())) return false;
-        return true;
-      });
-
-      const removed = beforeCount - deduped.length;
-      if (removed > 0) {
-        logger.info(`Deduplication: removed ${removed} items already seen in the last 7 days`);
-        items.length = 0;
-        items.push(...deduped);
+    // Older rows predate canonical_url, so canonicalise their raw URL
+    const seenUrls = new Set((recentItems || []).map(r => r.canonical_url || canonicalizeUrl(r.url)).filter(Boolean));
+    const recentTitles = new Set((recentItems || []).map(r => (r.title || '').toLowerCase().trim()).filter(Boolean));
+    const beforeCount = items.length;
+
+    // Remove items whose canonical URL or exact title already appeared in the last 7 days,
+    // or whose canonical URL repeats earlier in this batch (e.g. the same story via RSS and search)
+    const deduped = items.filter(item => {
+      if (item.canonical_url) {
+        if (seenUrls.has(item.canonical_url)) return false;
+        seenUrls.add(item.canonical_url);
       }
+      if (item.title && recentTitles.has(item.title.toLowerCase().trim())) return false;
+      return true;
+    });
+
+    const removed = beforeCount - deduped.length;
+    if (removed > 0) {
+      logger.info(`Deduplication: removed ${removed} items already seen in the last 7 days or repeated in this run`);
+      items.length = 0;
+      items.push(...deduped);
     }
 
+    // Step 2c: Collapse near-duplicates (syndicated or retitled copies) by embedding similarity
+    const { unique, duplicates: nearDuplicates, signatures } = await findNearDuplicates(items, { anchors: submitted });
+    if (nearDuplicates.length > 0) {
+      items.length = 0;
+      items.push(...unique);
+    }
+    episodeMetadata.dedup = { near_duplicates: nearDuplicates.length };
+
+    await recordQueryRuns(collectedItems, items);
+
     // Re-check after dedup
-    if (items.length === 0) {
+    if (items.length === 0 && submitted.length === 0) {
       logger.warn('All items were duplicates of recent content — aborting pipeline');
-      onStatus({ step: 2, totalSteps: 11, status: 'skipped', message: 'All items were duplicates of recent content. Skipping.', detail: null });
+      onStatus({ step: 2, totalSteps: TOTAL_STEPS, status: 'skipped', message: 'All items were duplicates of recent content. Skipping.', detail: null });
       await notify({ text: `⚠️ Briefing pipeline for ${date}: All items duplicated recent content. Skipping.` });
       return null;
     }
 
-    onStatus({ step: 1, totalSteps: 11, status: 'completed', message: `Collected ${items.length} items (after deduplication).`, detail: { itemCount: items.length } });
+    onStatus({ step: 1, totalSteps: TOTAL_STEPS, status: 'completed', message: `Collected ${items.length} items (after deduplication)${submitted.length > 0 ? ` plus ${submitted.length} submitted links` : ''}.`, detail: { itemCount: items.length, submittedCount: submitted.length, sources: sourceReport } });
 
     // Step 3: Assign temp IDs for scoring reference
     items.forEach((item, i) => {
@@ -106,27 +155,33 @@ async function runPipeline(options = {}) {
 
     // Step 4: Insert raw items into DB
     logger.info('Step 4: Inserting raw items into database');
-    onStatus({ step: 4, totalSteps: 11, status: 'running', message: `Saving ${items.length} raw items to database...`, detail: null });
-    const rowsToInsert = items.map(item => ({
+    onStatus({ step: 4, totalSteps: TOTAL_STEPS, status: 'running', message: `Saving ${items.length} raw items to database...`, detail: null });
+    const toRow = (item) => ({
       source_id: item.source_id || null,
       source_type: item.source_type,
       title: item.title,
       url: item.url,
+      canonical_url: item.canonical_url,
       content: item.content,
       content_snippet: item.content_snippet,
       published_at: item.published_at,
       fetched_at: new Date().toISOString(),
       metadata: item.metadata || {},
       embedded: false,
-    }));
+    });
+    const rowsToInsert = items.map(toRow);
 
-    const { data: insertedRows, error: insertError } = await supabase
-      .from('briefing_raw_items')
-      .insert(rowsToInsert)
-      .select('id');
+    let insertedRows = [];
+    if (rowsToInsert.length > 0) {
+      const { data, error: insertError } = await supabase
+        .from('briefing_raw_items')
+        .insert(rowsToInsert)
+        .select('id');
 
-    if (insertError) {
-      throw new Error(`Failed to insert raw items: ${insertError.message}`);
+      if (insertError) {
+        throw new Error(`Failed to insert raw items: ${insertError.message}`);
+      }
+      insertedRows = data;
     }
 
     // Map temp IDs to real UUIDs
@@ -134,38 +189,99 @@ async function runPipeline(options = {}) {
       items[i].id = insertedRows[i].id;
     }
 
+    // Near-duplicates are kept for reference, linked to their canonical item, but never scored
+    if (nearDuplicates.length > 0) {
+      const { error: dupError } = await supabase
+        .from('briefing_raw_items')
+        .insert(nearDuplicates.map(({ item, canonical, similarity }) => ({
+          ...toRow(item),
+          duplicate_of: canonical.id,
+          duplicate_similarity: Math.round(similarity * 1000) / 1000,
+        })));
+
+      if (dupError) {
+        logger.warn('Failed to store near-duplicate items', { error: dupError.message });
+      }
+    }
+
+    await storeSignatures(signatures);
+
     logger.info(`Inserted ${insertedRows.length} raw items`);
-    onStatus({ step: 4, totalSteps: 11, status: 'completed', message: `Saved ${insertedRows.length} items.`, detail: null });
+    onStatus({ step: 4, totalSteps: TOTAL_STEPS, status: 'completed', message: `Saved ${insertedRows.length} items.`, detail: null });
+
+    // Submitted links join the scoring pool with their existing IDs
+    items.unshift(...submitted);
+
+    // Step 4b: Group items into stories so each story is scored once, with every outlet attached
+    const { clusters, signatures: storySignatures } = await clusterItems(items, { signatures });
+    await storeClusters(clusters);
+    // Stories that continue a thread from earlier episodes carry it into scoring and the script
+    const storyVectors = new Map(clusters.map(c => [c.lead.id, storySignatures.get(c.lead)]));
+    const threadMatches = await matchThreads(clusters.map(c => ({ id: c.lead.id, vector: storyVectors.get(c.lead.id) })));
+
+    const leads = clusters.map(cluster => ({
+      ...cluster.lead,
+      related_items: cluster.members.filter(m => m !== cluster.lead),
+      thread: threadMatches.get(cluster.lead.id) || null,
+    }));
+    episodeMetadata.clusters = {
+      stories: clusters.length,
+      multi_source: clusters.filter(c => c.members.length > 1).length,
+      continuing_threads: threadMatches.size,
+    };
 
     // Step 5: Score items
     logger.info('Step 5: Scoring items');
-    onStatus({ step: 5, totalSteps: 11, status: 'running', message: `Scoring ${items.length} items for relevance...`, detail: { itemCount: items.length } });
-    const scoredItems = await scoreItems(items, { provider });
+    onStatus({ step: 5, totalSteps: TOTAL_STEPS, status: 'running', message: `Scoring ${leads.length} stories (${items.length} items) for relevance...`, detail: { itemCount: items.length, storyCount: leads.length } });
+    const { items: scoredItems, allItems: allScoredItems, scoring } = await scoreItems(leads, { provider, models });
+    episodeMetadata.scoring = scoring;
     logger.info(`Scoring complete: ${scoredItems.length} items passed filter`);
-    onStatus({ step: 5, totalSteps: 11, status: 'completed', message: `${scoredItems.length} items passed the relevance filter.`, detail: { passedCount: scoredItems.length } });
+    onStatus({ step: 5, totalSteps: TOTAL_STEPS, status: 'completed', message: `${scoredItems.length} items passed the relevance filter.`, detail: { passedCount: scoredItems.length, fallback: scoring.fallback } });
 
     if (scoredItems.length === 0) {
       logger.warn('No items passed scoring — aborting pipeline');
-      onStatus({ step: 5, totalSteps: 11, status: 'skipped', message: 'All items scored too low. Pipeline aborted.', detail: null });
+      onStatus({ step: 5, totalSteps: TOTAL_STEPS, status: 'skipped', message: 'All items scored too low. Pipeline aborted.', detail: null });
       await notify({ text: `⚠️ Briefing pipeline for ${date}: All items scored too low. Skipping.` });
       return null;
     }
 
-    // Step 6: Write script
-    logger.info('Step 6: Writing script');
-    onStatus({ step: 6, totalSteps: 11, status: 'running', message: `Writing the briefing script from ${scoredItems.length} sources...`, detail: null });
-    const scriptResult = await writeScript(scoredItems, { provider, date });
+    // Step 6: Fetch full article text for the selected items
+    logger.info('Step 6: Extracting full articles');
+    onStatus({ step: 6, totalSteps: TOTAL_STEPS, status: 'running', message: `Fetching full articles for ${scoredItems.length} selected items...`, detail: null });
+    for (const item of scoredItems) {
+      // Submissions are never trimmed: only items linked to the episode stop being queued again
+      const related = item.related_items || [];
+      const submittedRelated = related.filter(r => r.must_include);
+      item.related_items = [...submittedRelated, ...related.filter(r => !r.must_include)]
+        .slice(0, Math.max(MAX_RELATED_SOURCES, submittedRelated.length));
+    }
+    const relatedItems = scoredItems.flatMap(item => item.related_items);
+    const enrichment = await enrichItems([...scoredItems, ...relatedItems]);
+    episodeMetadata.enrichment = enrichment;
+    onStatus({ step: 6, totalSteps: TOTAL_STEPS, status: 'completed', message: `Full text for ${enrichment.extracted + enrichment.alreadyFull} of ${scoredItems.length + relatedItems.length} items.`, detail: enrichment });
+
+    // Step 7: Write script
+    logger.info('Step 7: Writing script');
+    onStatus({ step: 7, totalSteps: TOTAL_STEPS, status: 'running', message: `Writing the briefing script from ${scoredItems.length} sources...`, detail: null });
+    const writtenScript = await writeScript(scoredItems, { provider, models, date });
+    onStatus({ step: 7, totalSteps: TOTAL_STEPS, status: 'running', message: 'Checking the script\'s claims against their sources...', detail: null });
+
+    // Step 7b: Verify claims — flagged claims are rewritten, blocked or just reported, per BRIEFING_VERIFICATION_MODE
+    const { report: verification, result: scriptResult } = await verifyScript(writtenScript, scoredItems, { provider, models });
+    const blocked = verification.status === 'blocked';
+    // Prompt versions behind this episode's scoring, script, summary and verification
+    episodeMetadata.prompts = { scoring: scoring.prompts, ...scriptResult.prompts, verification: verification.prompts || {} };
     const scriptWordCount = scriptResult.clean_script.split(/\s+/).length;
     logger.info('Script written', {
       wordCount: scriptWordCount,
       sections: scriptResult.sections.length,
       sourcesCited: scriptResult.source_item_ids.length,
     });
-    onStatus({ step: 6, totalSteps: 11, status: 'completed', message: `Script written: ${scriptWordCount} words, ${scriptResult.sections.length} sections.`, detail: { wordCount: scriptWordCount, sectionCount: scriptResult.sections.length } });
+    onStatus({ step: 7, totalSteps: TOTAL_STEPS, status: 'completed', message: `Script written: ${scriptWordCount} words, ${scriptResult.sections.length} sections. Verification: ${verification.status}${verification.flagged_total ? ` (${verification.flagged_total} of ${verification.claims_total} claims flagged)` : ''}.`, detail: { wordCount: scriptWordCount, sectionCount: scriptResult.sections.length, verification: verification.status, flaggedClaims: verification.flagged_total || 0 } });
 
-    // Step 7: Create episode record
-    logger.info('Step 7: Creating episode record');
-    onStatus({ step: 7, totalSteps: 11, status: 'running', message: 'Creating episode record...', detail: null });
+    // Step 8: Create episode record
+    logger.info('Step 8: Creating episode record');
+    onStatus({ step: 8, totalSteps: TOTAL_STEPS, status: 'running', message: 'Creating episode record...', detail: null });
     const { data: episode, error: episodeError } = await supabase
       .from('briefing_episodes')
       .insert({
@@ -175,8 +291,9 @@ async function runPipeline(options = {}) {
         summary: scriptResult.summary,
         sections: scriptResult.sections,
         source_item_ids: scriptResult.source_item_ids,
-        status: 'pending',
-        metadata: { provider },
+        status: blocked ? 'blocked' : 'pending',
+        verification,
+        metadata: episodeMetadata,
       })
       .select()
       .single();
@@ -187,11 +304,32 @@ async function runPipeline(options = {}) {
 
     episodeId = episode.id;
     logger.info('Episode created', { episodeId });
-    onStatus({ step: 7, totalSteps: 11, status: 'completed', message: 'Episode record created.', detail: { episodeId } });
+    onStatus({ step: 8, totalSteps: TOTAL_STEPS, status: 'completed', message: 'Episode record created.', detail: { episodeId } });
 
-    // Step 8: Generate audio
-    logger.info('Step 8: Generating audio');
-    onStatus({ step: 8, totalSteps: 11, status: 'running', message: 'Generating audio with ElevenLabs... this may take a minute or two.', detail: null });
+    // Scores for every scored item, selected or not — query stats average over them
+    for (const item of allScoredItems) {
+      await supabase
+        .from('briefing_raw_items')
+        .update({ relevance_score: item.relevance_score })
+        .eq('id', item.id);
+    }
+
+    // Full audit trail: every story's score and reason, selected or not. Recorded
+    // before TTS so it survives a failed or blocked run, the ones most worth inspecting
+    await recordScores({ episodeId, items: leads, scored: allScoredItems, selected: scoredItems, scoring });
+
+    // A blocked script never reaches TTS — stop here for review
+    if (blocked) {
+      const reason = verification.blocked_reason;
+      logger.warn('Episode blocked by claim verification', { date, episodeId, reason });
+      onStatus({ step: 9, totalSteps: TOTAL_STEPS, status: 'skipped', message: `Blocked before audio: ${reason}.`, detail: { episodeId, verification } });
+      await notify({ text: `🛑 Briefing for ${date} was blocked before audio: ${reason}. Review the verification report on episode ${episodeId}.` });
+      return episode;
+    }
+
+    // Step 9: Generate audio
+    logger.info('Step 9: Generating audio');
+    onStatus({ step: 9, totalSteps: TOTAL_STEPS, status: 'running', message: 'Generating audio with ElevenLabs... this may take a minute or two.', detail: null });
     const audioResult = await generateAudio(scriptResult.clean_script, {
       episodeId,
       date,
@@ -200,11 +338,11 @@ async function runPipeline(options = {}) {
       audioUrl: audioResult.audioUrl,
       duration: audioResult.audioDurationSeconds,
     });
-    onStatus({ step: 8, totalSteps: 11, status: 'completed', message: `Audio generated: ~${Math.round(audioResult.audioDurationSeconds / 60)} minutes.`, detail: { audioUrl: audioResult.audioUrl, durationSeconds: audioResult.audioDurationSeconds } });
+    onStatus({ step: 9, totalSteps: TOTAL_STEPS, status: 'completed', message: `Audio generated: ~${Math.round(audioResult.audioDurationSeconds / 60)} minutes.`, detail: { audioUrl: audioResult.audioUrl, durationSeconds: audioResult.audioDurationSeconds } });
 
-    // Step 9: Update episode with audio info
-    logger.info('Step 9: Updating episode with audio');
-    onStatus({ step: 9, totalSteps: 11, status: 'running', message: 'Finalising episode with audio...', detail: null });
+    // Step 10: Update episode with audio info
+    logger.info('Step 10: Updating episode with audio');
+    onStatus({ step: 10, totalSteps: TOTAL_STEPS, status: 'running', message: 'Finalising episode with audio...', detail: null });
     const { error: updateError } = await supabase
       .from('briefing_episodes')
       .update({
@@ -218,21 +356,47 @@ async function runPipeline(options = {}) {
       throw new Error(`Failed to update episode with audio: ${updateError.message}`);
     }
 
-    // Step 10: Update raw items with episode_id and scores
-    logger.info('Step 10: Updating raw items with scores');
-    onStatus({ step: 10, totalSteps: 11, status: 'running', message: 'Updating source items with scores...', detail: null });
+    // Link each story section to its thread now the episode is final
+    const threadedSections = await recordThreads({
+      episodeId,
+      date,
+      sections: scriptResult.sections,
+      items: scoredItems,
+      vectors: storyVectors,
+    });
+    await supabase
+      .from('briefing_episodes')
+      .update({ sections: threadedSections })
+      .eq('id', episodeId);
+
+    // Step 11: Link raw items to the episode (scores were saved after step 8)
+    logger.info('Step 11: Linking raw items to the episode');
+    onStatus({ step: 11, totalSteps: TOTAL_STEPS, status: 'running', message: 'Linking source items to the episode...', detail: null });
     for (const item of scoredItems) {
       await supabase
         .from('briefing_raw_items')
-        .update({
-          episode_id: episodeId,
-          relevance_score: item.relevance_score,
-        })
+        .update({ episode_id: episodeId })
         .eq('id', item.id);
     }
 
-    // Step 11: Slack notification
-    onStatus({ step: 11, totalSteps: 11, status: 'running', message: 'Sending Slack notification...', detail: null });
+    // Other outlets' coverage of selected stories belongs to this episode too
+    for (const item of relatedItems) {
+      await supabase
+        .from('briefing_raw_items')
+        .update({ episode_id: episodeId })
+        .eq('id', item.id);
+    }
+
+    const clusterIds = [...new Set(scoredItems.map(item => item.cluster_id).filter(Boolean))];
+    if (clusterIds.length > 0) {
+      await supabase
+        .from('briefing_story_clusters')
+        .update({ episode_id: episodeId })
+        .in('id', clusterIds);
+    }
+
+    // Step 12: Slack notification
+    onStatus({ step: 12, totalSteps: TOTAL_STEPS, status: 'running', message: 'Sending Slack notification...', detail: null });
     const wordCount = scriptResult.clean_script.split(/\s+/).length;
     const providerLabel = provider === 'openai' ? 'GPT-4.1' : 'Claude';
     await notify({
@@ -256,12 +420,12 @@ async function runPipeline(options = {}) {
     });
 
     logger.info('=== Briefing pipeline complete ===', { date, episodeId, provider });
-    onStatus({ step: 11, totalSteps: 11, status: 'completed', message: 'Pipeline complete! Your briefing is ready.', detail: { episodeId, date } });
+    onStatus({ step: 12, totalSteps: TOTAL_STEPS, status: 'completed', message: 'Pipeline complete! Your briefing is ready.', detail: { episodeId, date } });
 
-    return { ...episode, audio_url: audioResult.audioUrl, audio_duration_seconds: audioResult.audioDurationSeconds, status: 'generated' };
+    return { ...episode, sections: threadedSections, audio_url: audioResult.audioUrl, audio_duration_seconds: audioResult.audioDurationSeconds, status: 'generated' };
   } catch (err) {
     logger.error('Pipeline failed', { date, episodeId, provider, error: err.message, stack: err.stack });
-    onStatus({ step: 0, totalSteps: 11, status: 'failed', message: `Pipeline failed: ${err.message}`, detail: { error: err.message } });
+    onStatus({ step: 0, totalSteps: TOTAL_STEPS, status: 'failed', message: `Pipeline failed: ${err.message}`, detail: { error: err.message } });
 
     // Mark episode as failed if one was created
     if (episodeId) {
@@ -269,7 +433,7 @@ async function runPipeline(options = {}) {
         .from('briefing_episodes')
         .update({
           status: 'failed',
-          metadata: { provider, error: err.message },
+          metadata: { ...episodeMetadata, error: err.message },
         })
         .eq('id', episodeId)
         .catch(updateErr => logger.error('Failed to mark episode as failed', { error: updateErr.message }));
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Shipped defaults, used until a prompt is first edited
+const FILE_PROMPTS = Object.fromEntries(
+  fs.readdirSync(PROMPTS_DIR)
+    .filter(file => file.endsWith('.txt'))
+    .map(file => [path.basename(file, '.txt'), fs.readFileSync(path.join(PROMPTS_DIR, file), 'utf-8')])
+);
+
+const PROMPT_KEYS = Object.keys(FILE_PROMPTS).sort();
+
+/**
+ * The prompt currently in use: the latest stored version, or the shipped file.
+ * Falls back to the file if the database can't be read, so runs never fail on it.
+ *
+ * @param {string} key - Prompt key (file name without .txt, e.g. 'scoring')
+ * @returns {Promise<{key: string, id: string|null, version: number, content: string}>}
+ *   `id` is null and `version` 0 when the shipped file is used
+ */
+async function getPrompt(key) {
+  assertKnownKey(key);
+
+  const { data, error } = await supabase
+    .from('briefing_prompt_versions')
+    .select('id, version, content')
+    .eq('prompt_key', key)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logger.warn(`Failed to load prompt "${key}", using shipped file`, { error: error.message });
+  } else if (data && data.length > 0) {
+    return { key, ...data[0] };
+  }
+
+  return { key, id: null, version: 0, content: FILE_PROMPTS[key] };
+}
+
+/**
+ * Load several prompts at once.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<object>} key → prompt, as returned by getPrompt
+ */
+async function getPrompts(keys) {
+  const prompts = await Promise.all(keys.map(getPrompt));
+  return Object.fromEntries(prompts.map(p => [p.key, p]));
+}
+
+/**
+ * Every prompt with its active version.
+ *
+ * @returns {Promise<Array<{key, id, version, content, created_by, change_note, created_at}>>}
+ */
+async function listPrompts() {
+  const { data, error } = await supabase
+    .from('briefing_prompt_versions')
+    .select('id, prompt_key, version, content, created_by, change_note, created_at')
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+
+  const latest = new Map();
+  for (const row of data || []) {
+    if (!latest.has(row.prompt_key)) latest.set(row.prompt_key, row);
+  }
+
+  return PROMPT_KEYS.map(key => {
+    const row = latest.get(key);
+    if (!row) return { key, id: null, version: 0, content: FILE_PROMPTS[key], created_by: null, change_note: 'Shipped default', created_at: null };
+    const { prompt_key, ...rest } = row;
+    return { key, ...rest };
+  });
+}
+
+/**
+ * A prompt's version history, newest first.
+ *
+ * @param {string} key
+ * @returns {Promise<Array>} Version rows; empty if the prompt has never been edited
+ */
+async function getPromptHistory(key) {
+  assertKnownKey(key);
+
+  const { data, error } = await supabase
+    .from('briefing_prompt_versions')
+    .select('id, version, content, created_by, change_note, created_at')
+    .eq('prompt_key', key)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Save new content for a prompt as its next version. The first edit also
+ * stores the shipped file as version 1, so it can be rolled back to.
+ *
+ * @param {string} key
+ * @param {object} params
+ * @param {string} params.content - New prompt text
+ * @param {string} [params.updatedBy='sam'] - Who made the change
+ * @param {string} [params.note] - Why it changed
+ * @returns {Promise<object>} The new version row
+ */
+async function updatePrompt(key, { content, updatedBy = 'sam', note }) {
+  assertKnownKey(key);
+
+  let current = await latestVersion(key);
+  if (!current) {
+    current = await insertVersion(key, {
+      version: 1,
+      content: FILE_PROMPTS[key],
+      created_by: 'system',
+      change_note: 'Shipped default',
+    });
+  }
+
+  if (current.content === content) {
+    const err = new Error('Content is unchanged from the active version');
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const row = await insertVersion(key, {
+    version: current.version + 1,
+    content,
+    created_by: updatedBy,
+    change_note: note || null,
+  });
+  logger.info(`Prompt "${key}" updated to v${row.version}`, { updatedBy });
+  return row;
+}
+
+/**
+ * Make an earlier version active again by saving its content as a new version.
+ * History is never rewritten.
+ *
+ * @param {string} key
+ * @param {object} params
+ * @param {number} params.version - Version number to restore
+ * @param {string} [params.updatedBy='sam']
+ * @returns {Promise<object>} The new version row
+ */
+async function rollbackPrompt(key, { version, updatedBy = 'sam' }) {
+  assertKnownKey(key);
+
+  const { data: target, error } = await supabase
+    .from('briefing_prompt_versions')
+    .select('id, version, content')
+    .eq('prompt_key', key)
+    .eq('version', version)
+    .single();
+
+  if (error && error.code === 'PGRST116') {
+    const err = new Error(`Prompt "${key}" has no version ${version}`);
+    err.statusCode = 404;
+    throw err;
+  }
+  if (error) throw error;
+
+  return updatePrompt(key, { content: target.content, updatedBy, note: `Rollback to v${target.version}` });
+}
+
+async function latestVersion(key) {
+  const { data, error } = await supabase
+    .from('briefing_prompt_versions')
+    .select('id, version, content')
+    .eq('prompt_key', key)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function insertVersion(key, row) {
+  const { data, error } = await supabase
+    .from('briefing_prompt_versions')
+    .insert({ prompt_key: key, ...row })
+    .select('id, version, content, created_by, change_note, created_at')
+    .single();
+
+  if (error && error.code === '23505') {
+    const err = new Error(`Prompt "${key}" was changed by someone else — reload and try again`);
+    err.statusCode = 409;
+    throw err;
+  }
+  if (error) throw error;
+  return data;
+}
+
+function assertKnownKey(key) {
+  if (!PROMPT_KEYS.includes(key)) {
+    const err = new Error(`Unknown prompt: ${key}`);
+    err.statusCode = 404;
+    throw err;
+  }
+}
+
+/**
+ * Compact reference to the prompt versions used, for episode metadata.
+ *
+ * @param {Array<object>} prompts - Prompts as returned by getPrompt
+ * @returns {object} key → { id, version }
+ */
+function promptVersions(prompts) {
+  return Object.fromEntries(prompts.map(p => [p.key, { id: p.id, version: p.version }]));
+}
+
+module.exports = { PROMPT_KEYS, getPrompt, getPrompts, listPrompts, getPromptHistory, updatePrompt, rollbackPrompt, promptVersions };
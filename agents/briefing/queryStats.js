@@ -0,0 +1,136 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { fetchAll } = require('../../lib/paginate');
+
+/**
+ * Record how many items each standing query returned in this run and how
+ * many were dropped as duplicates. Exact duplicates never reach briefing_raw_items,
+ * so this is the only place those counts survive. Never throws.
+ *
+ * @param {Array} collected - Items as returned by the adapters, before dedup
+ * @param {Array} kept - Items remaining after dedup
+ * @returns {Promise<void>}
+ */
+async function recordQueryRuns(collected, kept) {
+  const countByQuery = (list) => {
+    const counts = new Map();
+    for (const item of list) {
+      const queryId = item.metadata && item.metadata.query_id;
+      if (!queryId) continue;
+      counts.set(queryId, (counts.get(queryId) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const returned = countByQuery(collected);
+  if (returned.size === 0) return;
+  const keptCounts = countByQuery(kept);
+
+  const rows = [...returned].map(([queryId, count]) => ({
+    query_id: queryId,
+    returned_count: count,
+    duplicate_count: count - (keptCounts.get(queryId) || 0),
+  }));
+
+  try {
+    const { error } = await supabase.from('briefing_query_runs').insert(rows);
+    if (error) {
+      logger.warn('Failed to record query runs', { error: error.message });
+    }
+  } catch (err) {
+    logger.warn('Failed to record query runs', { error: err.message });
+  }
+}
+
+/**
+ * Summarise what each standing query has contributed over a window.
+ *
+ * @param {object} [options]
+ * @param {number} [options.days=30] - Look-back window in days
+ * @returns {Promise<Array>} One entry per query; `zero_contributions` marks pruning candidates
+ */
+async function getQueryStats(options = {}) {
+  const { days = 30 } = options;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: queries, error: queriesError } = await supabase
+    .from('briefing_search_queries')
+    .select('id, query, category, active, search_backend, added_by, created_at')
+    .order('created_at', { ascending: true });
+
+  if (queriesError) throw queriesError;
+
+  const runs = await fetchAll(() => supabase
+    .from('briefing_query_runs')
+    .select('query_id, returned_count, duplicate_count, created_at')
+    .gte('created_at', since)
+    .order('created_at', { ascending: true }));
+
+  const items = await fetchAll(() => supabase
+    .from('briefing_raw_items')
+    .select('id, relevance_score, fetched_at, query_id:metadata->>query_id')
+    .eq('source_type', 'web_search')
+    .is('duplicate_of', null)
+    .gte('fetched_at', since)
+    .order('fetched_at', { ascending: true }));
+
+  const episodes = await fetchAll(() => supabase
+    .from('briefing_episodes')
+    .select('id, date, source_item_ids, created_at')
+    .gte('created_at', since)
+    .order('created_at', { ascending: true }));
+
+  // Item ID → most recent episode that cited it
+  const citedIn = new Map();
+  for (const episode of episodes) {
+    for (const itemId of episode.source_item_ids || []) {
+      citedIn.set(itemId, episode);
+    }
+  }
+
+  const stats = new Map((queries || []).map(q => [q.id, {
+    ...q,
+    runs: 0,
+    items_returned: 0,
+    duplicates_removed: 0,
+    items_stored: 0,
+    items_scored: 0,
+    avg_relevance_score: null,
+    items_in_episodes: 0,
+    last_contributed_at: null,
+    _scoreSum: 0,
+  }]));
+
+  for (const run of runs) {
+    const entry = stats.get(run.query_id);
+    if (!entry) continue;
+    entry.runs++;
+    entry.items_returned += run.returned_count || 0;
+    entry.duplicates_removed += run.duplicate_count || 0;
+  }
+
+  for (const item of items) {
+    const entry = stats.get(item.query_id);
+    if (!entry) continue;
+    entry.items_stored++;
+    if (item.relevance_score != null) {
+      entry.items_scored++;
+      entry._scoreSum += item.relevance_score;
+    }
+    const episode = citedIn.get(item.id);
+    if (episode) {
+      entry.items_in_episodes++;
+      if (!entry.last_contributed_at || episode.created_at > entry.last_contributed_at) {
+        entry.last_contributed_at = episode.created_at;
+      }
+    }
+  }
+
+  return [...stats.values()].map(({ _scoreSum, ...entry }) => ({
+    ...entry,
+    avg_relevance_score: entry.items_scored > 0 ? Math.round((_scoreSum / entry.items_scored) * 10) / 10 : null,
+    zero_contributions: entry.items_in_episodes === 0,
+  }));
+}
+
+module.exports = { recordQueryRuns, getQueryStats };
@@ -0,0 +1,294 @@
+const { generateStructured } = require('../../lib/ai');
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { notify } = require('../../lib/slack');
+const { getQueryStats } = require('./queryStats');
+const { getPrompts } = require('./promptStore');
+
+const MIN_SCORE = 7;
+const MAX_ITEMS = 80;
+// Used when no query or source has a category yet
+const DEFAULT_CATEGORIES = ['agentic_commerce', 'search_marketing', 'platform_shifts'];
+
+/**
+ * Schema for the model's suggestions. `category` is narrowed to the known
+ * categories at call time.
+ */
+function suggestionsSchema(categories) {
+  return {
+    type: 'object',
+    properties: {
+      add: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            category: { type: 'string', enum: categories },
+            rationale: { type: 'string' },
+          },
+          required: ['query', 'category', 'rationale'],
+          additionalProperties: false,
+        },
+      },
+      retire: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            query_id: { type: 'string' },
+            rationale: { type: 'string' },
+          },
+          required: ['query_id', 'rationale'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['add', 'retire'],
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Ask the model for new standing queries and redundant ones, based on
+ * recent high-scoring items and episode sections. Suggestions are stored
+ * as pending rows in briefing_query_suggestions for review.
+ *
+ * @param {object} [options]
+ * @param {string} [options.provider] - AI provider ('claude' or 'openai')
+ * @param {object} [options.models] - Per-run model overrides (uses 'suggestions')
+ * @param {number} [options.days=14] - How far back to look for items and episodes
+ * @returns {Promise<Array>} The suggestion rows created
+ */
+async function suggestQueries(options = {}) {
+  const { provider, models, days = 14 } = options;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const queryStats = await getQueryStats({ days: 30 });
+  const activeQueries = queryStats.filter(q => q.active);
+
+  const { data: items, error: itemsError } = await supabase
+    .from('briefing_raw_items')
+    .select('title, relevance_score, source_type, metadata')
+    .gte('fetched_at', since)
+    .gte('relevance_score', MIN_SCORE)
+    .order('relevance_score', { ascending: false })
+    .limit(MAX_ITEMS);
+
+  if (itemsError) throw itemsError;
+
+  const { data: episodes, error: episodesError } = await supabase
+    .from('briefing_episodes')
+    .select('date, sections')
+    .in('status', ['generated', 'delivered'])
+    .gte('created_at', since)
+    .order('date', { ascending: false });
+
+  if (episodesError) throw episodesError;
+
+  if ((items || []).length === 0 && (episodes || []).length === 0) {
+    logger.info('Query suggestions: no recent material to work from, skipping');
+    return [];
+  }
+
+  const categories = await knownCategories(queryStats);
+  const queryText = new Map(activeQueries.map(q => [q.id, q.query]));
+  const material = {
+    categories,
+    existing_queries: activeQueries.map(q => ({
+      id: q.id,
+      query: q.query,
+      category: q.category,
+      items_in_episodes: q.items_in_episodes,
+    })),
+    high_scoring_items: (items || []).map(item => ({
+      title: item.title,
+      score: item.relevance_score,
+      source_type: item.source_type,
+      found_by_query: (item.metadata && queryText.get(item.metadata.query_id)) || null,
+    })),
+    recent_episode_sections: (episodes || []).map(ep => ({
+      date: ep.date,
+      sections: (ep.sections || []).map(s => s.title).filter(Boolean),
+    })),
+  };
+
+  const prompts = await getPrompts(['context', 'query-suggestions']);
+  // Retirements must name an active query; the schema can't list their IDs, so check here
+  const validate = ({ retire }) => retire
+    .filter(s => !queryText.has(s.query_id))
+    .map(s => `Unknown query_id "${s.query_id}" — only retire existing queries by their id`);
+
+  const { data: parsed } = await generateStructured({
+    provider,
+    task: 'suggestions',
+    models,
+    system: prompts.context.content,
+    userMessage: `${prompts['query-suggestions'].content}\n\n## Material\n\n${JSON.stringify(material, null, 2)}`,
+    schema: suggestionsSchema(categories),
+    schemaName: 'query_suggestions',
+    validate,
+    maxTokens: 2048,
+  });
+
+  const { data: pending } = await supabase
+    .from('briefing_query_suggestions')
+    .select('kind, query, target_query_id')
+    .eq('status', 'pending');
+
+  const normalise = (q) => (q || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const knownQueries = new Set([
+    ...queryStats.map(q => normalise(q.query)),
+    ...(pending || []).filter(s => s.kind === 'add').map(s => normalise(s.query)),
+  ]);
+  const pendingRetires = new Set((pending || []).filter(s => s.kind === 'retire').map(s => s.target_query_id));
+
+  const rows = [];
+  for (const s of parsed.add) {
+    if (!s.query.trim()) continue;
+    if (knownQueries.has(normalise(s.query))) continue;
+    knownQueries.add(normalise(s.query));
+    rows.push({
+      kind: 'add',
+      query: s.query.trim(),
+      category: s.category,
+      rationale: s.rationale || null,
+    });
+  }
+  for (const s of parsed.retire) {
+    if (!queryText.has(s.query_id) || pendingRetires.has(s.query_id)) continue;
+    pendingRetires.add(s.query_id);
+    rows.push({
+      kind: 'retire',
+      query: queryText.get(s.query_id),
+      target_query_id: s.query_id,
+      rationale: s.rationale || null,
+    });
+  }
+
+  if (rows.length === 0) {
+    logger.info('Query suggestions: nothing new to suggest');
+    return [];
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from('briefing_query_suggestions')
+    .insert(rows)
+    .select();
+
+  if (insertError) throw insertError;
+
+  const adds = created.filter(s => s.kind === 'add').length;
+  const retires = created.length - adds;
+  logger.info('Query suggestions created', { adds, retires });
+  await notify({
+    text: `🔎 ${adds} new standing ${adds === 1 ? 'query' : 'queries'} suggested and ${retires} flagged as redundant. Review them in the briefing app.`,
+  });
+
+  return created;
+}
+
+/**
+ * Categories in use across standing queries and sources, so suggestions
+ * file new queries where the rest of the pipeline expects them.
+ */
+async function knownCategories(queryStats) {
+  const { data: sources, error } = await supabase
+    .from('briefing_sources')
+    .select('category');
+
+  if (error) throw error;
+
+  const categories = new Set([...queryStats, ...(sources || [])].map(row => row.category).filter(Boolean));
+  return categories.size > 0 ? [...categories].sort() : DEFAULT_CATEGORIES;
+}
+
+/**
+ * Accept a pending suggestion: 'add' creates the standing query,
+ * 'retire' deactivates the target query.
+ *
+ * @param {string} id - Suggestion ID
+ * @returns {Promise<{suggestion: object, query: object}>} Updated suggestion and affected query
+ */
+async function acceptSuggestion(id) {
+  const suggestion = await getPendingSuggestion(id);
+
+  let query;
+  if (suggestion.kind === 'add') {
+    const { data, error } = await supabase
+      .from('briefing_search_queries')
+      .insert({
+        query: suggestion.query,
+        category: suggestion.category,
+        active: true,
+        added_by: 'suggested',
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    query = data;
+  } else {
+    const { data, error } = await supabase
+      .from('briefing_search_queries')
+      .update({ active: false })
+      .eq('id', suggestion.target_query_id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    query = data;
+  }
+
+  const updated = await markReviewed(id, 'accepted', suggestion.kind === 'add' ? { created_query_id: query.id } : {});
+  logger.info('Query suggestion accepted', { suggestionId: id, kind: suggestion.kind, queryId: query.id });
+
+  return { suggestion: updated, query };
+}
+
+/**
+ * Reject a pending suggestion.
+ * @param {string} id - Suggestion ID
+ * @returns {Promise<object>} Updated suggestion
+ */
+async function rejectSuggestion(id) {
+  await getPendingSuggestion(id);
+  return markReviewed(id, 'rejected');
+}
+
+async function getPendingSuggestion(id) {
+  const { data, error } = await supabase
+    .from('briefing_query_suggestions')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code === 'PGRST116') {
+    const err = new Error('Suggestion not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  if (error) throw error;
+
+  if (data.status !== 'pending') {
+    const err = new Error(`Suggestion already ${data.status}`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  return data;
+}
+
+async function markReviewed(id, status, extra = {}) {
+  const { data, error } = await supabase
+    .from('briefing_query_suggestions')
+    .update({ status, reviewed_at: new Date().toISOString(), ...extra })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = { suggestQueries, acceptSuggestion, rejectSuggestion };
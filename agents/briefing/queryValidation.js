@@ -0,0 +1,132 @@
+const { BACKEND_IDS } = require('./searchBackends');
+
+const SEARCH_DEPTHS = ['basic', 'advanced'];
+const SEARCH_TOPICS = ['news', 'general'];
+const CONFIG_KEYS = ['searchDepth', 'topic', 'days', 'maxResults', 'includeDomains', 'excludeDomains'];
+
+/**
+ * Validate a briefing_search_queries payload from the API.
+ *
+ * `config` holds per-query search options:
+ *   - searchDepth: 'basic' | 'advanced' (Tavily only)
+ *   - topic: 'news' | 'general' (Tavily only)
+ *   - days: look-back window, 1-30
+ *   - maxResults: results per run, 1-20
+ *   - includeDomains / excludeDomains: hostnames to restrict to or skip
+ *
+ * @param {object} body - Request body
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (PATCH)
+ * @returns {{errors: string[], value: object}} Validation errors and the cleaned row fields
+ */
+function validateQuery(body, options = {}) {
+  const { partial = false } = options;
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object') {
+    return { errors: ['body must be a JSON object'], value };
+  }
+
+  if (body.query !== undefined || !partial) {
+    if (typeof body.query !== 'string' || body.query.trim().length === 0) {
+      errors.push('query is required');
+    } else {
+      value.query = body.query.trim();
+    }
+  }
+
+  if (body.category !== undefined) {
+    if (body.category !== null && typeof body.category !== 'string') {
+      errors.push('category must be a string');
+    } else {
+      value.category = body.category ? body.category.trim() : null;
+    }
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      value.active = body.active;
+    }
+  }
+
+  if (body.search_backend !== undefined) {
+    if (body.search_backend !== null && !BACKEND_IDS.includes(body.search_backend)) {
+      errors.push(`search_backend must be one of: ${BACKEND_IDS.join(', ')}`);
+    } else {
+      value.search_backend = body.search_backend;
+    }
+  }
+
+  if (body.config !== undefined) {
+    const config = body.config === null ? {} : body.config;
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      errors.push('config must be an object');
+    } else {
+      const configErrors = validateSearchConfig(config);
+      errors.push(...configErrors);
+      if (configErrors.length === 0) value.config = cleanSearchConfig(config);
+    }
+  }
+
+  return { errors, value };
+}
+
+function validateSearchConfig(config) {
+  const errors = [];
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      errors.push(`config.${key} is not a supported option (${CONFIG_KEYS.join(', ')})`);
+    }
+  }
+
+  if (config.searchDepth !== undefined && !SEARCH_DEPTHS.includes(config.searchDepth)) {
+    errors.push(`config.searchDepth must be one of: ${SEARCH_DEPTHS.join(', ')}`);
+  }
+
+  if (config.topic !== undefined && !SEARCH_TOPICS.includes(config.topic)) {
+    errors.push(`config.topic must be one of: ${SEARCH_TOPICS.join(', ')}`);
+  }
+
+  if (config.days !== undefined
+    && (!Number.isInteger(config.days) || config.days < 1 || config.days > 30)) {
+    errors.push('config.days must be an integer between 1 and 30');
+  }
+
+  if (config.maxResults !== undefined
+    && (!Number.isInteger(config.maxResults) || config.maxResults < 1 || config.maxResults > 20)) {
+    errors.push('config.maxResults must be an integer between 1 and 20');
+  }
+
+  for (const field of ['includeDomains', 'excludeDomains']) {
+    if (config[field] === undefined) continue;
+    if (!Array.isArray(config[field])) {
+      errors.push(`config.${field} must be an array of domains`);
+      continue;
+    }
+    const invalid = config[field].filter(d => !isDomain(d));
+    if (invalid.length > 0) {
+      errors.push(`config.${field} contains invalid domains: ${invalid.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+function cleanSearchConfig(config) {
+  const cleaned = { ...config };
+  for (const field of ['includeDomains', 'excludeDomains']) {
+    if (cleaned[field]) cleaned[field] = cleaned[field].map(d => d.trim().toLowerCase());
+  }
+  return cleaned;
+}
+
+// Bare hostnames only — "ft.com", not "https://ft.com/markets"
+function isDomain(value) {
+  return typeof value === 'string' && /^([a-z0-9-]+\.)+[a-z]{2,}$/i.test(value.trim());
+}
+
+module.exports = { validateQuery };
@@ -1,130 +1,239 @@
-const fs = require('fs');
-const path = require('path');
-const { generateText } = require('../../lib/ai');
-const supabase = require('../../lib/supabase');
+const { generateStructured, getModel } = require('../../lib/ai');
 const logger = require('../../lib/logger');
-
-const scoringPrompt = fs.readFileSync(
-  path.join(__dirname, 'prompts', 'scoring.txt'),
-  'utf-8'
-);
-const contextPrompt = fs.readFileSync(
-  path.join(__dirname, 'prompts', 'context.txt'),
-  'utf-8'
-);
+const { getFeedbackExamples } = require('./feedback');
+const { selectItems } = require('./selection');
+const { getPrompts, promptVersions } = require('./promptStore');
+
+// Small enough that a batch's scores fit comfortably in one response
+const BATCH_SIZE = 25;
+const CONCURRENCY = 4;
+
+const SCORES_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          score: { type: 'integer', minimum: 0, maximum: 10 },
+          reason: { type: 'string' },
+        },
+        required: ['id', 'score', 'reason'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['scores'],
+  additionalProperties: false,
+};
 
 /**
- * Score raw items for relevance using a single AI call.
- * Returns the items sorted by score with scores attached,
- * filtered to the top items (default 8-12).
+ * Score raw items for relevance with schema-validated structured output.
+ * Items are split into batches scored in parallel; a batch whose output is
+ * invalid is retried with the problems fed back to the model. The episode's
+ * items (default 8-12) are then chosen by selectItems (see selection.js), which
+ * applies category quotas and diversity caps and always keeps `must_include`
+ * items (manual submissions). Each item's `_selectionRule` says why it was
+ * admitted or excluded.
+ * Recent listener feedback is included in the prompt as liked/disliked examples.
+ *
+ * Items in a batch that never produced valid output are left unscored and
+ * are not selected. `scoring.fallback` records what happened:
+ *   - 'none'              — every batch scored
+ *   - 'partial'           — some batches failed; their items were skipped
+ *   - 'must_include_only' — every batch failed; only must_include items selected
+ * If every batch fails and there are no must_include items, this throws.
  *
- * @param {Array} items - Raw items with at least id, title, content_snippet, source_type, url
+ * @param {Array} items - Raw items with at least id, title, content_snippet, source_type, url,
+ *   and optionally `thread` when the story continues one from an earlier episode (see threads.js)
  * @param {object} [options]
  * @param {string} [options.provider] - AI provider ('claude' or 'openai')
+ * @param {object} [options.models] - Per-run model overrides, task → model ID (uses 'scoring')
  * @param {number} [options.minScore=6] - Minimum score to keep
  * @param {number} [options.maxItems=12] - Maximum items to return
  * @param {number} [options.minItems=8] - Minimum items to return (may lower minScore threshold)
- * @returns {Promise<Array>} Scored and filtered items
+ * @param {number} [options.batchSize=25] - Items per scoring call
+ * @returns {Promise<{items: Array, allItems: Array, scoring: object}>}
+ *   `items` is the selection, `allItems` every item that received a score (sorted),
+ *   `scoring` the model, prompt versions, batch/attempt counts, fallback path and selection summary for the episode metadata
  */
 async function scoreItems(items, options = {}) {
-  const { provider, minScore = 6, maxItems = 12, minItems = 8 } = options;
+  const { provider, models, minScore = 6, maxItems = 12, minItems = 8, batchSize = BATCH_SIZE } = options;
+  const model = getModel('scoring', { provider, models });
+  const prompts = await getPrompts(['context', 'scoring']);
+  // Stored with every score, so a score can be traced to the wording that produced it
+  const promptVersion = `scoring@v${prompts.scoring.version},context@v${prompts.context.version}`;
 
   if (!items || items.length === 0) {
     logger.info('No items to score');
-    return [];
+    return { items: [], allItems: [], scoring: { model, prompt_version: promptVersion, prompts: promptVersions(Object.values(prompts)), batches: 0, fallback: 'none' } };
   }
 
-  logger.info(`Scoring ${items.length} items`, { provider: provider || 'default' });
-
-  // Prepare items for the prompt — only send what the model needs
-  const itemsForScoring = items.map(item => ({
-    id: item.id || item._tempId,
-    title: item.title,
-    content_snippet: (item.content_snippet || item.content || '').substring(0, 300),
-    source_type: item.source_type,
-    url: item.url,
-  }));
-
-  // Fetch recent episode topics so the scorer can penalise already-covered stories
-  let recentTopicsBlock = '';
-  try {
-    const { data: recentEpisodes } = await supabase
-      .from('briefing_episodes')
-      .select('date, summary, sections')
-      .in('status', ['generated', 'delivered'])
-      .order('date', { ascending: false })
-      .limit(5);
-
-    if (recentEpisodes && recentEpisodes.length > 0) {
-      const topicLines = recentEpisodes.map(ep => {
-        const titles = (ep.sections || [])
-          .filter(s => s.title)
-          .map(s => s.title)
-          .join('; ');
-        return `- ${ep.date}: ${titles || ep.summary || 'No topics recorded'}`;
-      }).join('\n');
-      recentTopicsBlock = `\n\n## Recently Covered Topics (last ${recentEpisodes.length} episodes)\n\n${topicLines}\n\nItems that cover the SAME story as a recent episode should score 0 unless there is a genuinely new development or significant update. Minor follow-ups on the same story score at most 4.`;
-      logger.info(`Scorer: including ${recentEpisodes.length} recent episodes for deduplication`);
-    }
-  } catch (err) {
-    logger.debug('Could not fetch recent episodes for scorer context', { error: err.message });
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
   }
 
-  const { text } = await generateText({
-    provider,
-    model: 'claude-haiku-4-5-20251001',
-    system: contextPrompt,
-    userMessage: `${scoringPrompt}${recentTopicsBlock}\n\n## Items to Score\n\n${JSON.stringify(itemsForScoring, null, 2)}`,
-    maxTokens: 4096,
+  const examples = await getFeedbackExamples();
+  const feedbackContext = formatFeedbackExamples(examples);
+
+  logger.info(`Scoring ${items.length} items in ${batches.length} batches`, {
+    provider: provider || 'default',
+    feedbackExamples: examples.positive.length + examples.negative.length,
   });
 
-  // Parse scores
-  let scores;
-  try {
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) throw new Error('No JSON array in response');
-    scores = JSON.parse(jsonMatch[0]);
-  } catch (err) {
-    logger.error('Failed to parse scoring response', { error: err.message });
-    // Fallback: return first maxItems items unsorted with neutral score
-    logger.warn(`Scoring fallback: returning first ${maxItems} of ${items.length} items`);
-    return items.slice(0, maxItems).map(item => ({ ...item, relevance_score: 5 }));
+  const results = new Array(batches.length);
+  const queue = batches.map((batch, index) => ({ batch, index }));
+  async function worker() {
+    while (queue.length > 0) {
+      const { batch, index } = queue.shift();
+      results[index] = await scoreBatch(batch, { provider, models, prompts, feedbackContext });
+    }
   }
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, batches.length) }, worker));
 
-  // Build a score lookup
   const scoreMap = new Map();
-  for (const s of scores) {
-    scoreMap.set(s.id, { score: s.score, reason: s.reason });
+  for (const result of results) {
+    for (const [id, scoreData] of result.scores) scoreMap.set(id, scoreData);
+  }
+
+  const failedBatches = results.filter(r => r.error);
+  const scoring = {
+    provider: results.find(r => r.provider)?.provider || provider || null,
+    model,
+    prompt_version: promptVersion,
+    prompts: promptVersions(Object.values(prompts)),
+    feedback_examples: { positive: examples.positive.length, negative: examples.negative.length },
+    batches: batches.length,
+    attempts: results.reduce((sum, r) => sum + r.attempts, 0),
+    repaired_batches: results.filter(r => !r.error && r.attempts > 1).length,
+    failed_batches: failedBatches.length,
+    unscored_items: items.length - scoreMap.size,
+    fallback: 'none',
+  };
+  if (failedBatches.length > 0) {
+    scoring.errors = failedBatches.map(r => r.error);
   }
 
   // Attach scores to items
-  const scoredItems = items.map(item => {
-    const id = item.id || item._tempId;
-    const scoreData = scoreMap.get(id) || { score: 0, reason: 'Not scored' };
-    return {
-      ...item,
-      relevance_score: scoreData.score,
-      _scoreReason: scoreData.reason,
-    };
-  });
+  const scoredItems = items
+    .filter(item => scoreMap.has(item.id || item._tempId))
+    .map(item => {
+      const scoreData = scoreMap.get(item.id || item._tempId);
+      return {
+        ...item,
+        relevance_score: scoreData.score,
+        _scoreReason: scoreData.reason,
+      };
+    });
 
   // Sort by score descending
   scoredItems.sort((a, b) => b.relevance_score - a.relevance_score);
 
-  // Filter: take top items above minScore, but ensure at least minItems
-  let filtered = scoredItems.filter(item => item.relevance_score >= minScore);
+  if (scoredItems.length === 0) {
+    const required = items.filter(item => item.must_include);
+    if (required.length === 0) {
+      throw new Error(`Scoring failed for all ${batches.length} batches: ${scoring.errors[0]}`);
+    }
+    scoring.fallback = 'must_include_only';
+    logger.warn(`Scoring fallback: every batch failed, selecting ${required.length} must-include items only`);
+    const selected = required.slice(0, maxItems).map(item => ({ ...item, relevance_score: null, _selectionRule: 'must_include' }));
+    return { items: selected, allItems: [], scoring };
+  }
 
-  if (filtered.length < minItems) {
-    // Relax threshold to get enough items
-    filtered = scoredItems.slice(0, minItems);
+  if (failedBatches.length > 0) {
+    scoring.fallback = 'partial';
+    logger.warn(`Scoring fallback: ${failedBatches.length} of ${batches.length} batches failed, ${scoring.unscored_items} items skipped`);
   }
 
-  // Cap at maxItems
-  filtered = filtered.slice(0, maxItems);
+  const unscoredRequired = items
+    .filter(item => item.must_include && !scoreMap.has(item.id || item._tempId))
+    .map(item => ({ ...item, relevance_score: null }));
+  const { selected: filtered, summary } = selectItems([...scoredItems, ...unscoredRequired], { minScore, minItems, maxItems });
+  scoring.selection = summary;
+
+  logger.info(`Scoring complete: ${filtered.length} items selected (scores ${filtered[filtered.length - 1]?.relevance_score}-${filtered[0]?.relevance_score})`, scoring);
+
+  return { items: filtered, allItems: scoredItems, scoring };
+}
+
+/**
+ * Score one batch. Never throws — a batch that can't be scored returns
+ * an empty score map and the error.
+ *
+ * @returns {Promise<{scores: Map<string, {score: number, reason: string}>, attempts: number, provider: string|null, error: string|null}>}
+ */
+async function scoreBatch(batch, { provider, models, prompts, feedbackContext }) {
+  // Prepare items for the prompt — only send what the model needs
+  const itemsForScoring = batch.map(item => ({
+    id: item.id || item._tempId,
+    title: item.title,
+    content_snippet: (item.content_snippet || item.content || '').substring(0, 300),
+    source_type: item.source_type,
+    url: item.url,
+    ...(item.thread && {
+      thread: {
+        title: item.thread.title,
+        times_covered: item.thread.update_number - 1,
+        last_covered: item.thread.last_covered_date,
+      },
+    }),
+  }));
+  const batchIds = new Set(itemsForScoring.map(item => item.id));
+
+  // The schema can't express "exactly these ids", so check coverage here and let the model repair it
+  const validate = ({ scores }) => {
+    const problems = [];
+    const seen = new Set();
+    for (const entry of scores) {
+      if (!batchIds.has(entry.id)) problems.push(`Unknown id "${entry.id}" — only score the items given`);
+      else if (seen.has(entry.id)) problems.push(`Id "${entry.id}" scored more than once`);
+      seen.add(entry.id);
+    }
+    const missing = [...batchIds].filter(id => !seen.has(id));
+    if (missing.length > 0) problems.push(`Missing scores for ids: ${missing.join(', ')}`);
+    return problems;
+  };
 
-  logger.info(`Scoring complete: ${filtered.length} items selected (scores ${filtered[filtered.length - 1]?.relevance_score}-${filtered[0]?.relevance_score})`);
+  try {
+    const { data, attempts, provider: usedProvider } = await generateStructured({
+      provider,
+      task: 'scoring',
+      models,
+      system: prompts.context.content,
+      userMessage: `${prompts.scoring.content}${feedbackContext}\n\n## Items to Score\n\n${JSON.stringify(itemsForScoring, null, 2)}`,
+      schema: SCORES_SCHEMA,
+      schemaName: 'item_scores',
+      validate,
+      maxTokens: 4096,
+    });
+
+    const scores = new Map(data.scores.map(s => [s.id, { score: s.score, reason: s.reason }]));
+    return { scores, attempts, provider: usedProvider, error: null };
+  } catch (err) {
+    logger.error('Scoring batch failed', { items: batch.length, error: err.message, problems: err.problems });
+    return { scores: new Map(), attempts: err.attempts || 1, provider: null, error: err.message };
+  }
+}
 
-  return filtered;
+/**
+ * Render liked/disliked examples as a prompt section, or '' when there are none.
+ */
+function formatFeedbackExamples({ positive, negative }) {
+  if (positive.length === 0 && negative.length === 0) return '';
+
+  const line = (example) => {
+    const category = example.category ? ` (${example.category})` : '';
+    const comment = example.comment ? ` — Sam: "${example.comment}"` : '';
+    return `- ${example.title}${category}: ${example.snippet}${comment}`;
+  };
+
+  let text = '\n\n## Listener Feedback';
+  if (positive.length > 0) text += `\n\nMore like this:\n${positive.map(line).join('\n')}`;
+  if (negative.length > 0) text += `\n\nLess like this:\n${negative.map(line).join('\n')}`;
+  return text;
 }
 
 module.exports = { scoreItems };
@@ -1,35 +1,66 @@
-const fs = require('fs');
-const path = require('path');
-const { generateText } = require('../../lib/ai');
-const supabase = require('../../lib/supabase');
+const { generateText, generateStructured } = require('../../lib/ai');
 const logger = require('../../lib/logger');
-
-const scriptPrompt = fs.readFileSync(
-  path.join(__dirname, 'prompts', 'script.txt'),
-  'utf-8'
-);
-const contextPrompt = fs.readFileSync(
-  path.join(__dirname, 'prompts', 'context.txt'),
-  'utf-8'
-);
+const { getPrompts, promptVersions } = require('./promptStore');
+
+// Per-item source caps. Items with full article text (see enricher.js) get far more room than snippets.
+const MAX_CONTENT_CHARS = 800;
+const MAX_FULL_TEXT_CHARS = 6000;
+// Other outlets covering the same story only need enough to add detail or a second view
+const MAX_RELATED_CHARS = 1500;
+
+const WORDS_PER_SECOND = 150 / 60; // ~2.5 words/sec for TTS
+const SOURCE_MARKER = /\[source:\s*([^\]]+)\]/g;
+// The order sections must appear in; stories are numbered story_1, story_2, ... when stored
+const SECTION_ORDER = ['opener', 'story', 'deeper_thread', 'opportunity_spot', 'closer'];
+
+const SCRIPT_SCHEMA = {
+  type: 'object',
+  properties: {
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string', enum: SECTION_ORDER },
+          title: { type: 'string' },
+          body: { type: 'string' },
+          source_ids: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['label', 'title', 'body', 'source_ids'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['sections'],
+  additionalProperties: false,
+};
 
 /**
  * Generate a spoken-word briefing script from scored items.
  *
+ * The model returns a structured document — sections with label, title, body
+ * and source IDs — which is validated (section order, known source IDs, no
+ * markup) and repaired by the model if needed. Everything else is derived from it.
+ *
  * Returns:
- *   - script: full script with [source: {id}] markers
+ *   - script: section bodies joined, with [source: {id}] markers
  *   - clean_script: script with markers stripped (ready for TTS)
- *   - sections: parsed section metadata for the frontend player
+ *   - sections: section metadata for the frontend player (label, title, timing, source_ids)
  *   - source_item_ids: array of referenced source UUIDs
  *
- * @param {Array} items - Scored items (with id, title, content, source_type, relevance_score)
+ * @param {Array} items - Scored items (with id, title, content, source_type, relevance_score),
+ *   optionally with `related_items` — other outlets' coverage of the same story —
+ *   and `thread` when the story continues one from an earlier episode
  * @param {object} [options]
  * @param {string} [options.provider] - AI provider ('claude' or 'openai')
+ * @param {object} [options.models] - Per-run model overrides, task → model ID (uses 'script' and 'summary')
  * @param {string} [options.date] - Date string for the episode (defaults to today)
- * @returns {Promise<object>} { script, clean_script, sections, source_item_ids, summary }
+ * @returns {Promise<object>} { script, clean_script, sections, source_item_ids, summary, document, prompts }
+ *   `document` is the section list as written (label, title, body, source_ids);
+ *   `prompts` holds the prompt versions used: { script: {...}, summary: {...} }
  */
 async function writeScript(items, options = {}) {
-  const { provider, date = new Date().toISOString().split('T')[0] } = options;
+  const { provider, models, date = new Date().toISOString().split('T')[0] } = options;
 
   if (!items || items.length === 0) {
     throw new Error('No items provided for script generation');
@@ -37,17 +68,31 @@ async function writeScript(items, options = {}) {
 
   logger.info(`Generating script from ${items.length} items for ${date}`, { provider: provider || 'default' });
 
+  const prompts = await getPrompts(['context', 'script', 'summary']);
+
   // Prepare source material — strip HTML and cap content per item
-  const MAX_CONTENT_CHARS = 800;
   const MAX_TOTAL_CHARS = 400000; // ~100k tokens budget for source material
 
   let sourceMaterial = items.map(item => ({
     id: item.id,
     title: (item.title || '').substring(0, 200),
-    content: (item.content || '').replace(/<[^>]*>/g, '').substring(0, MAX_CONTENT_CHARS),
+    content: (item.content || '').replace(/<[^>]*>/g, '').substring(0, contentLimit(item)),
     source_type: item.source_type,
     url: (item.url || '').substring(0, 500),
     relevance_score: item.relevance_score,
+    ...(item.submission_note && { editor_note: item.submission_note.substring(0, 1000) }),
+    ...(item.thread && {
+      thread: `Update #${item.thread.update_number} on the story "${item.thread.title}", last covered on ${item.thread.last_covered_date}${item.thread.last_section_title ? ` ("${item.thread.last_section_title}")` : ''}`,
+    }),
+    ...(item.related_items && item.related_items.length > 0 && {
+      related_sources: item.related_items.map(related => ({
+        id: related.id,
+        title: (related.title || '').substring(0, 200),
+        content: (related.content || '').replace(/<[^>]*>/g, '').substring(0, MAX_RELATED_CHARS),
+        url: (related.url || '').substring(0, 500),
+        ...(related.submission_note && { editor_note: related.submission_note.substring(0, 1000) }),
+      })),
+    }),
   }));
 
   // Safety net: if total source material is too large, trim further
@@ -60,178 +105,166 @@ async function writeScript(items, options = {}) {
     sourceMaterial = sourceMaterial.map(item => ({
       ...item,
       content: item.content.substring(0, Math.max(300, maxPerItem)),
+      ...(item.related_sources && {
+        related_sources: item.related_sources.map(related => ({ ...related, content: related.content.substring(0, 300) })),
+      }),
     }));
     sourceJson = JSON.stringify(sourceMaterial, null, 2);
   }
 
   logger.info(`Script prompt source material: ${sourceMaterial.length} items, ${sourceJson.length} chars`);
 
-  // Fetch recent episodes for continuity — avoid repeating stories
-  let previousContext = '';
-  try {
-    const { data: recentEpisodes } = await supabase
-      .from('briefing_episodes')
-      .select('date, summary, sections')
-      .in('status', ['generated', 'delivered'])
-      .order('date', { ascending: false })
-      .limit(5);
-
-    if (recentEpisodes && recentEpisodes.length > 0) {
-      const episodeBlocks = recentEpisodes.map(ep => {
-        const titles = (ep.sections || [])
-          .filter(s => s.title)
-          .map(s => `  - ${s.title}`)
-          .join('\n');
-        return `**${ep.date}**: ${ep.summary || 'No summary'}\nTopics:\n${titles || '  (none recorded)'}`;
-      }).join('\n\n');
-
-      previousContext = `\n\n## Recent Briefings (last ${recentEpisodes.length} episodes)\n\n${episodeBlocks}\n\nCRITICAL: Do NOT write about the same topics as these recent briefings. If a story from the source material was already covered in any of the episodes above, SKIP IT entirely unless the source material contains a genuinely new and significant development. In that case, briefly reference the previous coverage ("We covered X earlier this week — here's what's changed...") and focus only on what's new. If most of the source material overlaps with recent episodes, write a shorter briefing with only the genuinely new items rather than rehashing old topics.`;
-      logger.info(`Including ${recentEpisodes.length} recent episodes for continuity`, {
-        dates: recentEpisodes.map(e => e.date),
-      });
-    }
-  } catch (err) {
-    logger.debug('No previous episodes found (first run or query failed)', { error: err.message });
-  }
+  // Related sources may be cited too
+  const knownIds = new Set(items.flatMap(item => [item.id, ...(item.related_items || []).map(r => r.id)]));
 
-  const { text: script } = await generateText({
+  const { data: document } = await generateStructured({
     provider,
-    system: contextPrompt,
-    userMessage: `${scriptPrompt}\n\nToday's date: ${date}\n\n## Source Material\n\n${sourceJson}${previousContext}`,
+    task: 'script',
+    models,
+    system: prompts.context.content,
+    userMessage: `${prompts.script.content}\n\nToday's date: ${date}\n\n## Source Material\n\n${sourceJson}`,
+    schema: SCRIPT_SCHEMA,
+    schemaName: 'briefing_script',
+    validate: (doc) => validateDocument(doc, knownIds),
     maxTokens: 8192,
   });
 
-  if (!script || script.length < 200) {
-    throw new Error('Script generation returned insufficient content');
-  }
-
-  // Strip source markers to produce clean script for TTS
-  const clean_script = script.replace(/\[source:\s*[^\]]+\]/g, '').replace(/\s{2,}/g, ' ').trim();
-
-  // Extract referenced source IDs
-  const sourceRefs = [...script.matchAll(/\[source:\s*([^\]]+)\]/g)];
-  const source_item_ids = [...new Set(sourceRefs.map(m => m[1].trim()))];
-
-  // Parse sections from the script
-  const sections = parseSections(script);
+  const { script, clean_script, sections, source_item_ids } = assembleScript(document.sections);
 
   // Generate a brief summary
-  const summary = await generateSummary(script, provider);
-
-  const wordCount = clean_script.split(/\s+/).length;
-  const estimatedMinutes = (wordCount / 150).toFixed(1);
-
-  logger.info(`Script generated: ${wordCount} words (~${estimatedMinutes} min), ${source_item_ids.length} sources cited, ${sections.length} sections`);
-
-  return { script, clean_script, sections, source_item_ids, summary };
+  const summary = await generateSummary(script, { provider, models, prompt: prompts.summary });
+
+  const words = wordCount(clean_script);
+  const estimatedMinutes = (words / 150).toFixed(1);
+
+  logger.info(`Script generated: ${words} words (~${estimatedMinutes} min), ${source_item_ids.length} sources cited, ${sections.length} sections`);
+
+  return {
+    script,
+    clean_script,
+    sections,
+    source_item_ids,
+    summary,
+    document: document.sections,
+    prompts: {
+      script: promptVersions([prompts.context, prompts.script]),
+      summary: promptVersions([prompts.summary]),
+    },
+  };
 }
 
 /**
- * Parse the script into sections with estimated timestamps.
- * Uses word count to estimate timing (~150 words per minute for TTS).
+ * Per-item content cap: full article text and transcripts get more room than snippets.
  */
-function parseSections(script) {
-  const wordsPerSecond = 150 / 60; // ~2.5 words/sec
+function contentLimit(item) {
+  const status = item.metadata && item.metadata.full_text && item.metadata.full_text.status;
+  return status === 'extracted' || status === 'already_full' ? MAX_FULL_TEXT_CHARS : MAX_CONTENT_CHARS;
+}
 
-  // Extract source IDs referenced in a block of text
-  function getSourceIds(text) {
-    const refs = [...text.matchAll(/\[source:\s*([^\]]+)\]/g)];
-    return [...new Set(refs.map(m => m[1].trim()))];
+/**
+ * Check a script document beyond its schema. Returns problems for the model to fix.
+ */
+function validateDocument({ sections }, knownIds) {
+  const problems = [];
+  const labels = sections.map(section => section.label);
+
+  if (labels[0] !== 'opener') problems.push('The first section must be the opener');
+  if (labels[labels.length - 1] !== 'closer') problems.push('The last section must be the closer');
+  for (const label of ['opener', 'closer', 'deeper_thread', 'opportunity_spot']) {
+    if (labels.filter(l => l === label).length > 1) problems.push(`Only one ${label} section is allowed`);
   }
+  if (!labels.includes('story')) problems.push('At least one story section is required');
 
-  // The script has no headers — split on paragraph breaks and assign labels
-  // based on position and content length.
-  const paragraphs = script.split(/\n\n+/).filter(p => p.trim().length > 0);
-
-  if (paragraphs.length === 0) return [];
+  const ranks = labels.map(label => SECTION_ORDER.indexOf(label));
+  if (ranks.some((rank, i) => i > 0 && rank < ranks[i - 1])) {
+    problems.push(`Sections must be in this order: ${SECTION_ORDER.join(', ')} (story may repeat)`);
+  }
 
-  const sections = [];
-  let wordIndex = 0;
+  sections.forEach((section, i) => {
+    const where = `Section ${i + 1} (${section.label})`;
+    if (!section.body.trim()) problems.push(`${where} has an empty body`);
+    if (/^\s*(#|[-*•]\s|\*\*)/m.test(section.body)) problems.push(`${where} contains markdown — write plain spoken prose`);
+    if (['story', 'deeper_thread', 'opportunity_spot'].includes(section.label) && !section.title.trim()) {
+      problems.push(`${where} needs a title`);
+    }
+    if (section.label === 'story' && section.source_ids.length === 0) {
+      problems.push(`${where} must cite at least one source`);
+    }
 
-  // Opener: first paragraph
-  const openerWords = paragraphs[0].split(/\s+/).length;
-  sections.push({
-    label: 'opener',
-    title: null,
-    word_index: 0,
-    estimated_timestamp_seconds: 0,
-    source_ids: getSourceIds(paragraphs[0]),
+    const cited = [...section.body.matchAll(SOURCE_MARKER)].map(m => m[1].trim());
+    const unknown = [...new Set([...cited, ...section.source_ids])].filter(id => !knownIds.has(id));
+    if (unknown.length > 0) problems.push(`${where} cites unknown source IDs: ${unknown.join(', ')}`);
+    const undeclared = cited.filter(id => knownIds.has(id) && !section.source_ids.includes(id));
+    if (undeclared.length > 0) problems.push(`${where} has [source] markers missing from source_ids: ${[...new Set(undeclared)].join(', ')}`);
   });
-  wordIndex += openerWords;
 
-  // Main stories: middle paragraphs (up to second-to-last or third-to-last)
-  const mainStart = 1;
-  const mainEnd = Math.max(mainStart + 1, paragraphs.length - 2);
-  let storyNum = 0;
+  const words = sections.reduce((sum, section) => sum + wordCount(stripMarkers(section.body)), 0);
+  if (words < 200) problems.push(`The script is only ${words} words — follow the length guidance for each section`);
 
-  for (let i = mainStart; i < mainEnd && i < paragraphs.length; i++) {
-    const paraWords = paragraphs[i].split(/\s+/).length;
-    storyNum++;
+  return problems;
+}
 
-    let label;
-    if (storyNum <= 3) {
-      label = `story_${storyNum}`;
-    } else {
-      label = 'deeper_thread';
-    }
+/**
+ * Derive the script, TTS text, player sections and cited IDs from a script document.
+ * Used again after claim verification rewrites sections.
+ *
+ * @param {Array<{label: string, title: string, body: string, source_ids: string[]}>} documentSections
+ * @returns {{script: string, clean_script: string, sections: Array, source_item_ids: string[]}}
+ */
+function assembleScript(documentSections) {
+  const sections = buildSections(documentSections);
+  const script = documentSections.map(section => section.body.trim()).join('\n\n');
+
+  return {
+    script,
+    // Strip source markers to produce clean script for TTS
+    clean_script: stripMarkers(script),
+    sections,
+    source_item_ids: [...new Set(sections.flatMap(section => section.source_ids))],
+  };
+}
 
-    // Extract a short title from the first sentence
-    const firstSentence = paragraphs[i].replace(/\[source:[^\]]+\]/g, '').split(/[.!?]/)[0].trim();
-    const title = firstSentence.length > 60 ? firstSentence.substring(0, 57) + '...' : firstSentence;
+/**
+ * Section metadata for the player, with timestamps estimated from the
+ * clean (spoken) word count of the sections before it.
+ */
+function buildSections(documentSections) {
+  let wordIndex = 0;
+  let storyNum = 0;
 
-    sections.push({
+  return documentSections.map(section => {
+    const label = section.label === 'story' ? `story_${++storyNum}` : section.label;
+    const built = {
       label,
-      title,
+      title: section.title.trim() || null,
       word_index: wordIndex,
-      estimated_timestamp_seconds: Math.round(wordIndex / wordsPerSecond),
-      source_ids: getSourceIds(paragraphs[i]),
-    });
-    wordIndex += paraWords;
-  }
-
-  // Deeper thread if not already assigned and enough paragraphs
-  const hasDeeper = sections.some(s => s.label === 'deeper_thread');
-  if (!hasDeeper && paragraphs.length > 3) {
-    const deeperIdx = mainEnd;
-    if (deeperIdx < paragraphs.length) {
-      const firstSentence = paragraphs[deeperIdx].replace(/\[source:[^\]]+\]/g, '').split(/[.!?]/)[0].trim();
-      const title = firstSentence.length > 60 ? firstSentence.substring(0, 57) + '...' : firstSentence;
-      sections.push({
-        label: 'deeper_thread',
-        title,
-        word_index: wordIndex,
-        estimated_timestamp_seconds: Math.round(wordIndex / wordsPerSecond),
-        source_ids: getSourceIds(paragraphs[deeperIdx]),
-      });
-      wordIndex += paragraphs[deeperIdx].split(/\s+/).length;
-    }
-  }
+      estimated_timestamp_seconds: Math.round(wordIndex / WORDS_PER_SECOND),
+      source_ids: [...new Set(section.source_ids)],
+    };
+    wordIndex += wordCount(stripMarkers(section.body));
+    return built;
+  });
+}
 
-  // Closer: last paragraph
-  if (paragraphs.length > 1) {
-    const lastPara = paragraphs[paragraphs.length - 1];
-    sections.push({
-      label: 'closer',
-      title: null,
-      word_index: wordIndex,
-      estimated_timestamp_seconds: Math.round(wordIndex / wordsPerSecond),
-      source_ids: getSourceIds(lastPara),
-    });
-  }
+function stripMarkers(text) {
+  return text.replace(SOURCE_MARKER, '').replace(/\s{2,}/g, ' ').trim();
+}
 
-  return sections;
+function wordCount(text) {
+  return text ? text.split(/\s+/).length : 0;
 }
 
 /**
  * Generate a 1-2 sentence summary of the briefing.
  */
-async function generateSummary(script, provider) {
+async function generateSummary(script, { provider, models, prompt }) {
   try {
     const { text } = await generateText({
       provider,
-      model: 'claude-haiku-4-5-20251001',
+      task: 'summary',
+      models,
       maxTokens: 200,
-      userMessage: `Summarise this briefing script in one to two sentences for a podcast episode description. Be specific about the topics covered. No quotes or formatting.\n\n${script.substring(0, 3000)}`,
+      userMessage: `${prompt.content.trim()}\n\n${script.substring(0, 3000)}`,
     });
 
     return text.trim();
@@ -241,4 +274,4 @@ async function generateSummary(script, provider) {
   }
 }
 
-module.exports = { writeScript };
+module.exports = { writeScript, assembleScript };
@@ -0,0 +1,230 @@
+/**
+ * Web search backends for standing queries.
+ *
+ * Each backend exposes `{ id, available(), search(query, options) }`, where
+ * `search` resolves to normalised raw items. Tavily returns results directly;
+ * the LLM backends run the provider's web search tool and turn its answer and
+ * citations into items. Per-query options come from `query.config`
+ * (see queryValidation.js); searchDepth and topic only apply to Tavily.
+ */
+const { tavily } = require('@tavily/core');
+const { webSearch } = require('../../lib/ai');
+const logger = require('../../lib/logger');
+
+const BACKEND_IDS = ['tavily', 'claude', 'openai'];
+const DEFAULT_BACKEND = process.env.SEARCH_BACKEND || 'tavily';
+const DEFAULT_DAYS = 3;
+
+// Lazy-init: Tavily SDK throws at construction time if no key is present
+let tavilyClient;
+function getTavilyClient() {
+  if (!tavilyClient) tavilyClient = tavily({ apiKey: process.env.TAVILY_API_KEY });
+  return tavilyClient;
+}
+
+const backends = {
+  tavily: {
+    id: 'tavily',
+    available: () => !!process.env.TAVILY_API_KEY,
+    search: searchTavily,
+  },
+  claude: {
+    id: 'claude',
+    available: () => !!process.env.ANTHROPIC_API_KEY,
+    search: (query, options) => searchWithLlm('claude', query, options),
+  },
+  openai: {
+    id: 'openai',
+    available: () => !!process.env.OPENAI_API_KEY,
+    search: (query, options) => searchWithLlm('openai', query, options),
+  },
+};
+
+/**
+ * Pick the backend for a query: the query's own `search_backend`, then
+ * SEARCH_BACKEND, then 'tavily'. If that backend has no API key configured,
+ * fall back to the first available one (preferring the run's AI provider).
+ *
+ * @param {string|null} requested - Backend id from the query row
+ * @param {object} [options]
+ * @param {string} [options.provider] - AI provider for this run, tried first on fallback
+ * @returns {object|null} Backend, or null if none are configured
+ */
+function resolveBackend(requested, options = {}) {
+  const id = requested || DEFAULT_BACKEND;
+  const backend = backends[id];
+
+  if (!backend) {
+    logger.warn(`Unknown search backend "${id}", falling back`);
+  } else if (backend.available()) {
+    return backend;
+  }
+
+  const order = [options.provider, ...BACKEND_IDS].filter(b => b && b !== id && backends[b]);
+  const fallback = order.map(b => backends[b]).find(b => b.available());
+
+  if (fallback && backend) {
+    logger.warn(`Search backend "${id}" not configured, using "${fallback.id}"`);
+  }
+  return fallback || null;
+}
+
+async function searchTavily(query, { maxResults }) {
+  const config = query.config || {};
+  const topic = config.topic || 'news';
+  const days = config.days || DEFAULT_DAYS;
+
+  const params = {
+    searchDepth: config.searchDepth || 'basic',
+    topic,
+    maxResults,
+  };
+  // `days` only applies to the news topic; general search takes a coarser time range
+  if (topic === 'news') params.days = days;
+  else params.timeRange = days <= 1 ? 'day' : days <= 7 ? 'week' : 'month';
+  if (config.includeDomains && config.includeDomains.length > 0) params.includeDomains = config.includeDomains;
+  if (config.excludeDomains && config.excludeDomains.length > 0) params.excludeDomains = config.excludeDomains;
+
+  const response = await getTavilyClient().search(query.query, params);
+
+  return (response.results || []).map(r => ({
+    source_id: null,
+    source_type: 'web_search',
+    title: r.title || 'Untitled',
+    url: r.url || '',
+    content: r.content || '',
+    content_snippet: (r.content || '').substring(0, 500),
+    published_at: r.publishedDate || null,
+    metadata: {
+      query_id: query.id,
+      query_text: query.query,
+      category: query.category,
+      search_backend: 'tavily',
+      tavily_score: r.score,
+    },
+  }));
+}
+
+async function searchWithLlm(provider, query, { maxResults, models }) {
+  const config = query.config || {};
+  const days = config.days || DEFAULT_DAYS;
+  const includeDomains = config.includeDomains || [];
+  const excludeDomains = config.excludeDomains || [];
+
+  const domainRules = [
+    includeDomains.length > 0 ? `Only use results from these sites: ${includeDomains.join(', ')}.` : null,
+    excludeDomains.length > 0 ? `Ignore results from these sites: ${excludeDomains.join(', ')}.` : null,
+  ].filter(Boolean).join('\n');
+
+  const prompt = `Search the web for news from the last ${days} day${days === 1 ? '' : 's'} matching: ${query.query}
+${domainRules ? `${domainRules}\n` : ''}
+Return up to ${maxResults} distinct stories as a JSON array, most relevant first. Each element:
+{"title": "headline", "url": "article URL from your search results", "summary": "3-5 factual sentences", "published_date": "ISO 8601 date or null"}
+
+Only include URLs you actually found in search results. Return ONLY the JSON array.`;
+
+  const result = await webSearch({
+    provider,
+    models,
+    userMessage: prompt,
+    maxTokens: 4096,
+    allowedDomains: includeDomains,
+    blockedDomains: excludeDomains,
+  });
+  const citations = result.citations || [];
+
+  let items = parseLlmResults(result.text, citations);
+  if (items.length === 0 && citations.length > 0) {
+    logger.debug(`No parseable results from ${provider} search, using citations`, { query: query.query });
+    items = itemsFromCitations(citations);
+  }
+
+  // OpenAI has no domain filter parameter, so enforce the lists on the results
+  items = items.filter(item => (includeDomains.length === 0 || matchesDomain(item.url, includeDomains))
+    && !matchesDomain(item.url, excludeDomains));
+
+  return items.slice(0, maxResults).map(r => ({
+    source_id: null,
+    source_type: 'web_search',
+    title: r.title || 'Untitled',
+    url: r.url,
+    content: r.content,
+    content_snippet: r.content.substring(0, 500),
+    published_at: r.published_at,
+    metadata: {
+      query_id: query.id,
+      query_text: query.query,
+      category: query.category,
+      search_backend: provider,
+      cited: r.cited,
+    },
+  }));
+}
+
+/**
+ * Parse the model's JSON answer. URLs must be http(s); each item records
+ * whether its URL appeared in the search citations.
+ */
+function parseLlmResults(text, citations) {
+  const match = (text || '').match(/\[[\s\S]*\]/);
+  if (!match) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  const citedUrls = new Set(citations.map(c => c.url));
+  const seen = new Set();
+
+  return parsed
+    .filter(r => r && typeof r.url === 'string' && /^https?:\/\//.test(r.url))
+    .filter(r => !seen.has(r.url) && seen.add(r.url))
+    .map(r => ({
+      title: typeof r.title === 'string' ? r.title : null,
+      url: r.url,
+      content: typeof r.summary === 'string' ? r.summary : '',
+      published_at: parseDate(r.published_date),
+      cited: citedUrls.has(r.url),
+    }));
+}
+
+/**
+ * Group citations by URL, joining the cited passages as the item content.
+ */
+function itemsFromCitations(citations) {
+  const byUrl = new Map();
+  for (const c of citations) {
+    if (!byUrl.has(c.url)) byUrl.set(c.url, { title: c.title, url: c.url, passages: [] });
+    if (c.cited_text) byUrl.get(c.url).passages.push(c.cited_text);
+  }
+
+  return [...byUrl.values()].map(entry => ({
+    title: entry.title,
+    url: entry.url,
+    content: [...new Set(entry.passages)].join(' '),
+    published_at: null,
+    cited: true,
+  }));
+}
+
+function matchesDomain(url, domains) {
+  if (domains.length === 0) return false;
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return domains.some(d => host === d || host.endsWith(`.${d}`));
+  } catch {
+    return false;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+}
+
+module.exports = { resolveBackend, BACKEND_IDS, parseLlmResults, itemsFromCitations };
@@ -0,0 +1,145 @@
+const logger = require('../../lib/logger');
+
+/**
+ * Default selection rules. Override with BRIEFING_SELECTION_RULES (JSON), e.g.
+ * {"categories": {"search_marketing": {"min": 2}, "agentic_commerce": {"max": 5}},
+ *  "domainPenalty": 1, "maxPerQuery": 2}
+ *
+ * - categories.<name>.min      — slots reserved for the category, filled by its best items
+ *                                scoring at least `minScore` (default 4)
+ * - categories.<name>.max      — most items the category may take
+ * - domainPenalty              — subtracted from an item's score for each item already
+ *                                selected from the same domain
+ * - maxPerQuery                — most items any one standing query may contribute
+ */
+const DEFAULT_RULES = {
+  categories: {},
+  domainPenalty: 1,
+  maxPerQuery: 3,
+};
+const DEFAULT_QUOTA_MIN_SCORE = 4;
+
+function loadRules() {
+  if (!process.env.BRIEFING_SELECTION_RULES) return DEFAULT_RULES;
+  try {
+    return { ...DEFAULT_RULES, ...JSON.parse(process.env.BRIEFING_SELECTION_RULES) };
+  } catch (err) {
+    logger.warn('Ignoring invalid BRIEFING_SELECTION_RULES JSON', { error: err.message });
+    return DEFAULT_RULES;
+  }
+}
+
+const RULES = loadRules();
+
+/**
+ * Choose the episode's items from scored items, applying category quotas,
+ * a same-domain penalty and a per-query cap on top of the score threshold.
+ *
+ * Every item gets `_selectionRule` saying why it was admitted or excluded:
+ *   admitted — 'must_include', 'category_min', 'score', 'min_items'
+ *   excluded — 'category_max', 'query_cap', 'domain_penalty', 'below_min_score', 'max_items'
+ *
+ * @param {Array} items - Scored items, highest score first
+ * @param {object} [options]
+ * @param {number} [options.minScore=6] - Score an item needs on its own merit
+ * @param {number} [options.minItems=8] - Fill to this many items, below minScore if needed
+ * @param {number} [options.maxItems=12] - Maximum items to select
+ * @param {object} [options.rules] - Overrides BRIEFING_SELECTION_RULES
+ * @returns {{selected: Array, summary: object}} Selected items (highest score first) and counts per rule/category
+ */
+function selectItems(items, options = {}) {
+  const { minScore = 6, minItems = 8, maxItems = 12 } = options;
+  const rules = { ...RULES, ...(options.rules || {}) };
+  const categoryRules = rules.categories || {};
+
+  const selected = [];
+  const counts = { category: new Map(), domain: new Map(), query: new Map() };
+  const remaining = new Set(items);
+
+  const countOf = (kind, key) => (key ? counts[kind].get(key) || 0 : 0);
+  const adjustedScore = (item) => item.relevance_score - rules.domainPenalty * countOf('domain', domainOf(item));
+  const blockedBy = (item) => {
+    const max = categoryRules[categoryOf(item)]?.max;
+    if (max != null && countOf('category', categoryOf(item)) >= max) return 'category_max';
+    if (rules.maxPerQuery && countOf('query', queryOf(item)) >= rules.maxPerQuery) return 'query_cap';
+    return null;
+  };
+  const admit = (item, rule) => {
+    item._selectionRule = rule;
+    selected.push(item);
+    remaining.delete(item);
+    for (const [kind, key] of [['category', categoryOf(item)], ['domain', domainOf(item)], ['query', queryOf(item)]]) {
+      if (key) counts[kind].set(key, countOf(kind, key) + 1);
+    }
+  };
+  // Highest adjusted score among remaining items that pass `eligible` and no cap blocks
+  const best = (eligible) => {
+    let choice = null;
+    for (const item of remaining) {
+      if (!eligible(item) || blockedBy(item)) continue;
+      if (!choice || adjustedScore(item) > adjustedScore(choice)) choice = item;
+    }
+    return choice;
+  };
+
+  // 1. Manual submissions always go in, whatever the caps say
+  for (const item of items.filter(i => i.must_include)) admit(item, 'must_include');
+
+  // 2. Reserved category slots
+  for (const [category, rule] of Object.entries(categoryRules)) {
+    const floor = rule.minScore ?? DEFAULT_QUOTA_MIN_SCORE;
+    while (selected.length < maxItems && countOf('category', category) < (rule.min || 0)) {
+      const item = best(i => categoryOf(i) === category && i.relevance_score >= floor);
+      if (!item) break;
+      admit(item, 'category_min');
+    }
+  }
+
+  // 3. Best remaining items on merit, with the domain penalty applied
+  while (selected.length < maxItems) {
+    const item = best(i => adjustedScore(i) >= minScore);
+    if (!item) break;
+    admit(item, 'score');
+  }
+
+  // 4. Not enough on merit — top up below the threshold
+  while (selected.length < Math.min(minItems, maxItems)) {
+    const item = best(() => true);
+    if (!item) break;
+    admit(item, 'min_items');
+  }
+
+  for (const item of remaining) {
+    item._selectionRule = blockedBy(item)
+      || (item.relevance_score < minScore ? 'below_min_score' : null)
+      || (adjustedScore(item) < minScore ? 'domain_penalty' : 'max_items');
+  }
+
+  selected.sort((a, b) => b.relevance_score - a.relevance_score);
+
+  const byRule = {};
+  for (const item of items) byRule[item._selectionRule] = (byRule[item._selectionRule] || 0) + 1;
+
+  return {
+    selected,
+    summary: { by_rule: byRule, categories: Object.fromEntries(counts.category) },
+  };
+}
+
+function categoryOf(item) {
+  return (item.metadata && item.metadata.category) || null;
+}
+
+function queryOf(item) {
+  return (item.metadata && item.metadata.query_id) || null;
+}
+
+function domainOf(item) {
+  try {
+    return new URL(item.canonical_url || item.url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { selectItems };
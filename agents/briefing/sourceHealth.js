@@ -0,0 +1,131 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { notify } = require('../../lib/slack');
+const { fetchAll } = require('../../lib/paginate');
+
+const FAILURE_THRESHOLD = parseInt(process.env.SOURCE_FAILURE_THRESHOLD, 10) || 5;
+
+/**
+ * Record one collection attempt for a source and update its failure streak.
+ * When the streak reaches SOURCE_FAILURE_THRESHOLD the source is deactivated
+ * and a Slack alert is sent. Never throws — health tracking must not break collection.
+ *
+ * @param {object} source - briefing_sources row (id, name, url, active, consecutive_failures)
+ * @param {object} result - Result reported by the adapter
+ * @param {string} result.status - 'ok' or 'failed'
+ * @param {number} [result.itemCount] - Items returned
+ * @param {number} [result.httpStatus] - HTTP status of the main fetch
+ * @param {number} [result.latencyMs] - Time spent on this source
+ * @param {string} [result.error] - Error message when failed
+ * @returns {Promise<void>}
+ */
+async function recordSourceRun(source, result) {
+  if (!source || !source.id) return;
+
+  try {
+    const { error: insertError } = await supabase
+      .from('briefing_source_runs')
+      .insert({
+        source_id: source.id,
+        status: result.status,
+        http_status: result.httpStatus || null,
+        item_count: result.itemCount || 0,
+        latency_ms: result.latencyMs ?? null,
+        error: result.error ? result.error.substring(0, 1000) : null,
+      });
+
+    if (insertError) {
+      logger.warn('Failed to record source run', { sourceId: source.id, error: insertError.message });
+    }
+
+    if (result.status === 'ok') {
+      await supabase
+        .from('briefing_sources')
+        .update({ consecutive_failures: 0, last_success_at: new Date().toISOString() })
+        .eq('id', source.id);
+      return;
+    }
+
+    const failures = (source.consecutive_failures || 0) + 1;
+    const update = { consecutive_failures: failures };
+    const shouldDeactivate = source.active !== false && failures >= FAILURE_THRESHOLD;
+
+    if (shouldDeactivate) {
+      update.active = false;
+      update.deactivated_reason = `Auto-deactivated after ${failures} consecutive failures: ${result.error || 'unknown error'}`;
+    }
+
+    await supabase
+      .from('briefing_sources')
+      .update(update)
+      .eq('id', source.id);
+
+    if (shouldDeactivate) {
+      logger.warn(`Source deactivated after ${failures} consecutive failures`, {
+        sourceId: source.id,
+        name: source.name,
+        error: result.error,
+      });
+      await notify({
+        text: `⚠️ Briefing source "${source.name}" was deactivated after ${failures} failed runs in a row.\n${source.url}\nLast error: ${result.error || 'unknown'}${result.httpStatus ? ` (HTTP ${result.httpStatus})` : ''}`,
+      });
+    }
+  } catch (err) {
+    logger.error('Source health tracking failed', { sourceId: source.id, error: err.message });
+  }
+}
+
+/**
+ * Summarise collection health per source over a window.
+ *
+ * @param {object} [options]
+ * @param {number} [options.days=30] - Look-back window in days
+ * @returns {Promise<Array>} One entry per source with success rate and last good fetch
+ */
+async function getSourceHealth(options = {}) {
+  const { days = 30 } = options;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: sources, error: sourcesError } = await supabase
+    .from('briefing_sources')
+    .select('id, name, url, source_type, category, active, consecutive_failures, last_success_at, deactivated_reason')
+    .order('name', { ascending: true });
+
+  if (sourcesError) throw sourcesError;
+
+  // Paged, or the newest runs past the 1000-row cap would be dropped from "last run"
+  const runs = await fetchAll(() => supabase
+    .from('briefing_source_runs')
+    .select('source_id, status, http_status, item_count, latency_ms, error, created_at')
+    .gte('created_at', since)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }));
+
+  const runsBySource = new Map();
+  for (const run of runs) {
+    if (!runsBySource.has(run.source_id)) runsBySource.set(run.source_id, []);
+    runsBySource.get(run.source_id).push(run);
+  }
+
+  return (sources || []).map(source => {
+    const sourceRuns = runsBySource.get(source.id) || [];
+    const successes = sourceRuns.filter(r => r.status === 'ok');
+    const last = sourceRuns[sourceRuns.length - 1] || null;
+    const latencies = sourceRuns.map(r => r.latency_ms).filter(v => v != null);
+
+    return {
+      ...source,
+      runs: sourceRuns.length,
+      successes: successes.length,
+      success_rate: sourceRuns.length > 0 ? Math.round((successes.length / sourceRuns.length) * 1000) / 1000 : null,
+      items_collected: successes.reduce((sum, r) => sum + (r.item_count || 0), 0),
+      avg_latency_ms: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      last_run_at: last ? last.created_at : null,
+      last_status: last ? last.status : null,
+      last_http_status: last ? last.http_status : null,
+      last_error: last && last.status === 'failed' ? last.error : null,
+    };
+  });
+}
+
+module.exports = { recordSourceRun, getSourceHealth, FAILURE_THRESHOLD };
@@ -0,0 +1,151 @@
+const cheerio = require('cheerio');
+
+const SOURCE_TYPES = ['rss', 'web_scrape', 'youtube_channel', 'podcast_transcript'];
+
+const SCRAPE_SELECTOR_FIELDS = ['itemSelector', 'articleSelector', 'titleSelector', 'linkSelector', 'dateSelector', 'contentSelector'];
+
+/**
+ * Validate a briefing_sources payload from the API.
+ *
+ * With `partial`, only the fields present are checked (PATCH); `sourceType`
+ * must then be the row's existing type so config can still be validated.
+ *
+ * @param {object} body - Request body
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields
+ * @param {string} [options.sourceType] - Existing source_type when patching
+ * @returns {{errors: string[], value: object}} Validation errors and the cleaned row fields
+ */
+function validateSource(body, options = {}) {
+  const { partial = false } = options;
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object') {
+    return { errors: ['body must be a JSON object'], value };
+  }
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      errors.push('name is required');
+    } else {
+      value.name = body.name.trim();
+    }
+  }
+
+  if (body.url !== undefined || !partial) {
+    if (!isHttpUrl(body.url)) {
+      errors.push('url must be an http(s) URL');
+    } else {
+      value.url = body.url.trim();
+    }
+  }
+
+  if (body.source_type !== undefined || !partial) {
+    if (!SOURCE_TYPES.includes(body.source_type)) {
+      errors.push(`source_type must be one of: ${SOURCE_TYPES.join(', ')}`);
+    } else if (partial && options.sourceType && body.source_type !== options.sourceType) {
+      errors.push('source_type cannot be changed — create a new source instead');
+    } else {
+      value.source_type = body.source_type;
+    }
+  }
+
+  if (body.category !== undefined) {
+    if (body.category !== null && typeof body.category !== 'string') {
+      errors.push('category must be a string');
+    } else {
+      value.category = body.category ? body.category.trim() : null;
+    }
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      value.active = body.active;
+    }
+  }
+
+  const sourceType = value.source_type || options.sourceType;
+  const needsConfig = !partial && (sourceType === 'web_scrape' || sourceType === 'youtube_channel');
+
+  if (body.config !== undefined || needsConfig) {
+    const config = body.config === undefined ? {} : body.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push('config must be an object');
+    } else {
+      errors.push(...validateConfig(sourceType, config, value.url || body.url));
+      value.config = config;
+    }
+  }
+
+  return { errors, value };
+}
+
+function validateConfig(sourceType, config, url) {
+  switch (sourceType) {
+    case 'web_scrape':
+      return validateScrapeConfig(config);
+    case 'youtube_channel':
+      return validateYouTubeConfig(config, url);
+    default:
+      return [];
+  }
+}
+
+function validateScrapeConfig(config) {
+  const errors = [];
+
+  if (!config.itemSelector && !config.articleSelector) {
+    errors.push('config.itemSelector is required for web_scrape sources');
+  }
+
+  const $ = cheerio.load('');
+  for (const field of SCRAPE_SELECTOR_FIELDS) {
+    if (config[field] === undefined) continue;
+    if (typeof config[field] !== 'string' || config[field].trim().length === 0) {
+      errors.push(`config.${field} must be a non-empty string`);
+      continue;
+    }
+    try {
+      $(config[field]);
+    } catch (err) {
+      errors.push(`config.${field} is not a valid CSS selector: ${err.message}`);
+    }
+  }
+
+  if (config.maxArticles !== undefined
+    && (!Number.isInteger(config.maxArticles) || config.maxArticles < 1 || config.maxArticles > 50)) {
+    errors.push('config.maxArticles must be an integer between 1 and 50');
+  }
+
+  if (config.baseDomain !== undefined && !isHttpUrl(config.baseDomain)) {
+    errors.push('config.baseDomain must be an http(s) URL');
+  }
+
+  return errors;
+}
+
+function validateYouTubeConfig(config, url) {
+  if (config.channelId !== undefined) {
+    return /^UC[\w-]{22}$/.test(config.channelId)
+      ? []
+      : ['config.channelId must be a YouTube channel ID (UC followed by 22 characters)'];
+  }
+  if (url && /\/channel\/UC[\w-]{22}/.test(url)) return [];
+  if (url && /youtube\.com\/@[\w.-]+/.test(url)) return [];
+  return ['config.channelId is required unless the url is a /channel/UC… or /@handle URL'];
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const { protocol } = new URL(value.trim());
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { validateSource, SOURCE_TYPES };
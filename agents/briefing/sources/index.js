@@ -0,0 +1,158 @@
+/**
+ * Source adapter registry.
+ *
+ * Every other file in this directory is a source adapter exporting
+ * `{ type, fetch(options) }`, where `type` matches briefing_sources.source_type
+ * (or 'web_search' for standing queries) and `fetch` resolves to normalised raw items.
+ * Adapters are discovered at require time, the same way agents/index.js finds agents.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../lib/logger');
+const { canonicalizeUrl } = require('../../../lib/url');
+const { recordSourceRun } = require('../sourceHealth');
+const { resolveDeclaredCanonicals } = require('../canonicalResolver');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.BRIEFING_ADAPTER_TIMEOUT_MS, 10) || 120000;
+
+function loadAdapters() {
+  const adapters = new Map();
+  const files = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith('.js') && f !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    try {
+      const adapter = require(path.join(__dirname, file));
+      if (!adapter.type || typeof adapter.fetch !== 'function') {
+        logger.warn(`Source adapter "${file}" missing type or fetch, skipping`);
+        continue;
+      }
+      adapters.set(adapter.type, adapter);
+    } catch (err) {
+      logger.error(`Failed to load source adapter "${file}"`, { error: err.message });
+    }
+  }
+
+  return adapters;
+}
+
+const adapters = loadAdapters();
+
+/**
+ * Look up a single adapter by type.
+ * @param {string} type - Adapter type (e.g. 'rss', 'web_scrape')
+ * @returns {object|undefined} The adapter module
+ */
+function getAdapter(type) {
+  return adapters.get(type);
+}
+
+/**
+ * List registered adapter types.
+ * @returns {string[]}
+ */
+function getAdapterTypes() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Resolve which adapters are enabled. An explicit list wins, then the
+ * BRIEFING_SOURCE_ADAPTERS env var (comma-separated), otherwise all of them.
+ */
+function getEnabledAdapters(enabled) {
+  const list = enabled
+    || (process.env.BRIEFING_SOURCE_ADAPTERS
+      ? process.env.BRIEFING_SOURCE_ADAPTERS.split(',').map(s => s.trim()).filter(Boolean)
+      : null);
+
+  if (!list) return [...adapters.values()];
+
+  return list
+    .map(type => {
+      const adapter = adapters.get(type);
+      if (!adapter) logger.warn(`Unknown source adapter "${type}" in enabled list, ignoring`);
+      return adapter;
+    })
+    .filter(Boolean);
+}
+
+function withTimeout(promise, ms, type) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${type} adapter timed out after ${ms}ms`);
+      err.code = 'ADAPTER_TIMEOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run every enabled adapter in parallel and merge their items.
+ * Each adapter gets its own timeout; a slow or failing adapter is reported
+ * and skipped rather than failing the collection step. A timed-out adapter's
+ * in-flight requests are not cancelled — its results are just ignored.
+ * Per-source results reported by adapters are recorded for health tracking.
+ * Every item gets a `canonical_url` for dedup; `url` keeps the link as collected.
+ * AMP and syndicated copies take the canonical their page declares.
+ *
+ * @param {object} [options]
+ * @param {string} [options.provider] - AI provider, passed through to adapters
+ * @param {object} [options.models] - Per-run model overrides (task → model ID), passed through to adapters
+ * @param {string[]} [options.adapters] - Adapter types to run (defaults to all enabled)
+ * @param {number} [options.timeoutMs=120000] - Per-adapter timeout
+ * @param {Function} [options.onStatus] - Called as each adapter finishes
+ * @returns {Promise<{items: Array, report: object}>} Merged items and a per-adapter report
+ */
+async function collectSources(options = {}) {
+  const { provider, models, timeoutMs = DEFAULT_TIMEOUT_MS, onStatus = () => {} } = options;
+  const enabled = getEnabledAdapters(options.adapters);
+
+  logger.info(`Collecting from ${enabled.length} source adapters`, { adapters: enabled.map(a => a.type) });
+
+  const report = {};
+  const results = await Promise.all(enabled.map(async adapter => {
+    const startTime = Date.now();
+    const healthWrites = [];
+    const onSourceResult = (source, result) => {
+      healthWrites.push(recordSourceRun(source, result));
+    };
+
+    try {
+      const items = await withTimeout(adapter.fetch({ provider, models, onSourceResult }), timeoutMs, adapter.type);
+      await Promise.all(healthWrites);
+      report[adapter.type] = {
+        status: 'ok',
+        itemCount: items.length,
+        durationMs: Date.now() - startTime,
+        error: null,
+      };
+      logger.info(`Source adapter ${adapter.type}: ${items.length} items`);
+      onStatus({ adapter: adapter.type, ...report[adapter.type] });
+      return items;
+    } catch (err) {
+      report[adapter.type] = {
+        status: err.code === 'ADAPTER_TIMEOUT' ? 'timeout' : 'failed',
+        itemCount: 0,
+        durationMs: Date.now() - startTime,
+        error: err.message,
+      };
+      logger.error(`Source adapter ${adapter.type} failed`, { error: err.message });
+      onStatus({ adapter: adapter.type, ...report[adapter.type] });
+      return [];
+    }
+  }));
+
+  const items = results.flat();
+  for (const item of items) {
+    item.canonical_url = canonicalizeUrl(item.url);
+  }
+  await resolveDeclaredCanonicals(items);
+  logger.info(`Source collection complete: ${items.length} items from ${enabled.length} adapters`);
+
+  return { items, report };
+}
+
+module.exports = { collectSources, getAdapter, getAdapterTypes };
@@ -0,0 +1,248 @@
+const Parser = require('rss-parser');
+const supabase = require('../../../lib/supabase');
+const logger = require('../../../lib/logger');
+const { fetchText } = require('../../../lib/http');
+
+const parser = new Parser({
+  customFields: {
+    item: [
+      ['podcast:transcript', 'transcripts', { keepArray: true }],
+      ['podcast:chapters', 'chapters'],
+    ],
+  },
+});
+
+const DEFAULT_MAX_AGE_HOURS = parseInt(process.env.BRIEFING_MAX_AGE_HOURS, 10) || 72;
+
+// Transcript formats in order of preference — JSON carries speakers most reliably
+const TRANSCRIPT_TYPES = [
+  { format: 'json', match: /json/ },
+  { format: 'vtt', match: /vtt/ },
+  { format: 'srt', match: /srt|subrip/ },
+  { format: 'html', match: /html/ },
+  { format: 'text', match: /text\/plain/ },
+];
+
+/**
+ * Collect recent podcast episodes with transcripts from all active podcast_transcript sources.
+ * Reads `<podcast:transcript>` and `<podcast:chapters>` tags (Podcasting 2.0 namespace).
+ * Episodes without a usable transcript fall back to their show notes.
+ *
+ * @param {object} [options]
+ * @param {Array} [options.sources] - briefing_sources rows (defaults to all active podcast_transcript rows)
+ * @param {number} [options.maxAgeHours=72] - Drop episodes published longer ago than this
+ * @param {number} [options.maxEpisodesPerFeed=3] - Max episodes kept per feed
+ * @param {Function} [options.onSourceResult] - Called with (source, result) after each feed
+ * @returns {Promise<Array>} Normalized raw items ready for insertion
+ */
+async function fetchPodcastItems(options = {}) {
+  const { maxAgeHours = DEFAULT_MAX_AGE_HOURS, maxEpisodesPerFeed = 3, onSourceResult = () => {} } = options;
+
+  let sources = options.sources;
+  if (!sources) {
+    const { data, error } = await supabase
+      .from('briefing_sources')
+      .select('*')
+      .eq('source_type', 'podcast_transcript')
+      .eq('active', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch podcast sources: ${error.message}`);
+    }
+    sources = data || [];
+  }
+
+  if (sources.length === 0) {
+    logger.info('No active podcast sources configured');
+    return [];
+  }
+
+  logger.info(`Fetching ${sources.length} podcast feeds`);
+
+  const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+  const items = [];
+
+  for (const source of sources) {
+    const startTime = Date.now();
+    try {
+      const { items: feedItems, httpStatus } = await fetchSinglePodcast(source, { cutoff, maxEpisodesPerFeed });
+      items.push(...feedItems);
+      onSourceResult(source, {
+        status: 'ok',
+        itemCount: feedItems.length,
+        httpStatus,
+        latencyMs: Date.now() - startTime,
+        error: null,
+      });
+    } catch (err) {
+      logger.error(`Podcast feed failed: "${source.name}"`, { url: source.url, error: err.message });
+      onSourceResult(source, {
+        status: 'failed',
+        itemCount: 0,
+        httpStatus: err.status || null,
+        latencyMs: Date.now() - startTime,
+        error: err.message,
+      });
+    }
+  }
+
+  logger.info(`Podcast collection complete: ${items.length} episodes from ${sources.length} feeds`);
+  return items;
+}
+
+async function fetchSinglePodcast(source, { cutoff, maxEpisodesPerFeed }) {
+  const { text, status: httpStatus } = await fetchText(source.url);
+  const feed = await parser.parseString(text);
+
+  const recent = (feed.items || [])
+    .filter(entry => {
+      const publishedAt = Date.parse(entry.isoDate || entry.pubDate || '');
+      return !Number.isNaN(publishedAt) && publishedAt >= cutoff;
+    })
+    .slice(0, maxEpisodesPerFeed);
+
+  const items = [];
+  for (const entry of recent) {
+    let transcript = null;
+    const tag = pickTranscriptTag(entry.transcripts);
+    if (tag) {
+      try {
+        const { text: body } = await fetchText(tag.url, { timeoutMs: 30000 });
+        transcript = { ...parseTranscript(body, tag.format), format: tag.format, url: tag.url };
+      } catch (err) {
+        logger.warn(`Transcript download failed for "${entry.title}"`, { url: tag.url, error: err.message });
+      }
+    }
+
+    let chapters = [];
+    const chaptersUrl = entry.chapters && entry.chapters.$ && entry.chapters.$.url;
+    if (chaptersUrl) {
+      try {
+        const { text: body } = await fetchText(chaptersUrl);
+        chapters = (JSON.parse(body).chapters || []).map(c => ({
+          start_seconds: c.startTime ?? null,
+          title: c.title || null,
+        }));
+      } catch (err) {
+        logger.debug(`Chapters fetch failed for "${entry.title}"`, { error: err.message });
+      }
+    }
+
+    items.push(toRawItem(entry, { source, feed, transcript, chapters }));
+  }
+
+  logger.debug(`Podcast "${source.name}": ${items.length} episodes, ${items.filter(i => i.metadata.transcript_format).length} with transcripts`);
+  return { items, httpStatus };
+}
+
+function pickTranscriptTag(tags) {
+  const candidates = (tags || [])
+    .map(t => t && t.$)
+    .filter(attrs => attrs && attrs.url);
+
+  for (const { format, match } of TRANSCRIPT_TYPES) {
+    const found = candidates.find(attrs => match.test((attrs.type || '').toLowerCase())
+      || (format === 'srt' && /\.srt$/i.test(attrs.url))
+      || (format === 'vtt' && /\.vtt$/i.test(attrs.url)));
+    if (found) return { url: found.url, format };
+  }
+  return null;
+}
+
+/**
+ * Parse a transcript body into plain text plus the speakers it names.
+ * Consecutive segments by the same speaker are merged into one paragraph.
+ *
+ * @param {string} body - Raw transcript file contents
+ * @param {string} format - 'json', 'vtt', 'srt', 'html' or 'text'
+ * @returns {{text: string, speakers: string[]}}
+ */
+function parseTranscript(body, format) {
+  let segments;
+
+  switch (format) {
+    case 'json': {
+      const data = JSON.parse(body);
+      segments = (data.segments || []).map(s => ({ speaker: s.speaker || null, text: s.body || '' }));
+      break;
+    }
+    case 'vtt':
+    case 'srt':
+      segments = parseCues(body);
+      break;
+    case 'html':
+      segments = [{ speaker: null, text: body.replace(/<[^>]*>/g, ' ') }];
+      break;
+    default:
+      segments = [{ speaker: null, text: body }];
+  }
+
+  const paragraphs = [];
+  for (const seg of segments) {
+    const text = seg.text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && last.speaker === seg.speaker) {
+      last.text += ` ${text}`;
+    } else {
+      paragraphs.push({ speaker: seg.speaker, text });
+    }
+  }
+
+  const speakers = [...new Set(paragraphs.map(p => p.speaker).filter(Boolean))];
+  const text = paragraphs
+    .map(p => (p.speaker ? `${p.speaker}: ${p.text}` : p.text))
+    .join('\n\n');
+
+  return { text, speakers };
+}
+
+/**
+ * Split WebVTT or SRT into cue segments, reading speakers from `<v Name>` voice tags.
+ */
+function parseCues(body) {
+  const blocks = body.replace(/\r/g, '').split(/\n{2,}/);
+  const segments = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(Boolean);
+    const timingIdx = lines.findIndex(l => l.includes('-->'));
+    if (timingIdx === -1) continue; // header, NOTE or STYLE block
+
+    const cueText = lines.slice(timingIdx + 1).join(' ');
+    const voice = cueText.match(/<v(?:\.[\w.]+)?\s+([^>]+)>/);
+    segments.push({
+      speaker: voice ? voice[1].trim() : null,
+      text: cueText.replace(/<[^>]*>/g, ''),
+    });
+  }
+
+  return segments;
+}
+
+function toRawItem(entry, { source, feed, transcript, chapters }) {
+  const showNotes = (entry.contentSnippet || entry.content || '').replace(/<[^>]*>/g, '').trim();
+
+  return {
+    source_id: source.id,
+    source_type: 'podcast_transcript',
+    title: entry.title || 'Untitled episode',
+    url: entry.link || (entry.enclosure && entry.enclosure.url) || '',
+    content: transcript ? transcript.text : showNotes,
+    content_snippet: (showNotes || (transcript ? transcript.text : '')).substring(0, 500),
+    published_at: new Date(entry.isoDate || entry.pubDate).toISOString(),
+    metadata: {
+      source_name: source.name,
+      category: source.category,
+      podcast_title: feed.title || null,
+      audio_url: (entry.enclosure && entry.enclosure.url) || null,
+      duration: (entry.itunes && entry.itunes.duration) || null,
+      transcript_format: transcript ? transcript.format : null,
+      transcript_url: transcript ? transcript.url : null,
+      speakers: transcript ? transcript.speakers : [],
+      chapters,
+    },
+  };
+}
+
+module.exports = { type: 'podcast_transcript', fetch: fetchPodcastItems, fetchPodcastItems, parseTranscript };
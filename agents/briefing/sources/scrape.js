@@ -0,0 +1,295 @@
+const cheerio = require('cheerio');
+const supabase = require('../../../lib/supabase');
+const logger = require('../../../lib/logger');
+const { fetchText } = require('../../../lib/http');
+
+const DEFAULT_MAX_AGE_HOURS = parseInt(process.env.BRIEFING_MAX_AGE_HOURS, 10) || 72;
+
+/**
+ * Config-driven HTML scraper for web_scrape sources.
+ *
+ * Selectors come from briefing_sources.config:
+ *   - itemSelector    — one element per article on the listing page
+ *                       (`articleSelector` is accepted for older rows)
+ *   - titleSelector   — title inside the list item; falls back to the article page, then link text
+ *   - linkSelector    — link inside the list item; defaults to the item itself or its first <a href>
+ *   - dateSelector    — date inside the list item (reads `datetime`/`content` before text)
+ *   - contentSelector — optional article body selector; when set, each article page is fetched
+ *   - maxArticles     — cap on items per source (default 5)
+ *   - baseDomain      — base for resolving relative links (defaults to the source URL)
+ */
+
+/**
+ * Scrape all active web_scrape sources.
+ * A source that fails to load is logged and skipped.
+ *
+ * @param {object} [options]
+ * @param {Array} [options.sources] - briefing_sources rows to scrape (defaults to all active web_scrape rows)
+ * @param {number} [options.maxAgeHours=72] - Drop dated items older than this. Undated items are
+ *   kept only the first time their link is seen, so a listing page doesn't resubmit them every run
+ * @param {Function} [options.onSourceResult] - Called with (source, result) after each source
+ * @returns {Promise<Array>} Normalized raw items ready for insertion
+ */
+async function fetchScrapedItems(options = {}) {
+  const { maxAgeHours = DEFAULT_MAX_AGE_HOURS, onSourceResult = () => {} } = options;
+
+  let sources = options.sources;
+  if (!sources) {
+    const { data, error } = await supabase
+      .from('briefing_sources')
+      .select('*')
+      .eq('source_type', 'web_scrape')
+      .eq('active', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch web_scrape sources: ${error.message}`);
+    }
+    sources = data || [];
+  }
+
+  if (sources.length === 0) {
+    logger.info('No active web_scrape sources configured');
+    return [];
+  }
+
+  logger.info(`Scraping ${sources.length} web sources`);
+
+  const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+  const items = [];
+
+  // Sequential: several sources share hosts, and each may fan out to article pages
+  for (const source of sources) {
+    const startTime = Date.now();
+    try {
+      const { items: sourceItems, diagnostics } = await scrapeSource(source);
+      const seenUrls = await previouslyCollectedUrls(sourceItems.filter(item => !item.published_at).map(item => item.url));
+      const fresh = sourceItems.filter(item => (item.published_at
+        ? Date.parse(item.published_at) >= cutoff
+        : !seenUrls.has(item.url)));
+      items.push(...fresh);
+      onSourceResult(source, {
+        status: 'ok',
+        itemCount: fresh.length,
+        httpStatus: diagnostics.httpStatus,
+        latencyMs: Date.now() - startTime,
+        error: null,
+      });
+    } catch (err) {
+      logger.error(`Scrape failed: "${source.name}"`, { url: source.url, error: err.message });
+      onSourceResult(source, {
+        status: 'failed',
+        itemCount: 0,
+        httpStatus: err.status || null,
+        latencyMs: Date.now() - startTime,
+        error: err.message,
+      });
+    }
+  }
+
+  logger.info(`Web scrape complete: ${items.length} items from ${sources.length} sources`);
+  return items;
+}
+
+/**
+ * Which of these links have been collected before. Undated items have no other
+ * freshness signal, so the first time a link is seen stands in for its date.
+ * Returns an empty set if the lookup fails — exact dedup still catches repeats.
+ */
+async function previouslyCollectedUrls(urls) {
+  if (urls.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('briefing_raw_items')
+    .select('url')
+    .in('url', urls);
+
+  if (error) {
+    logger.warn('Failed to look up previously scraped links', { error: error.message });
+    return new Set();
+  }
+  return new Set((data || []).map(row => row.url));
+}
+
+/**
+ * Scrape a single source. Pass `options.html` to run against a saved listing page
+ * instead of the live site — article pages are then only read from `options.articleHtml`.
+ *
+ * @param {object} source - briefing_sources row (name, url, category, config)
+ * @param {object} [options]
+ * @param {string} [options.html] - Listing page HTML (skips the network fetch)
+ * @param {object} [options.articleHtml] - Map of article URL → saved HTML, used in fixture mode
+ * @returns {Promise<{items: Array, diagnostics: object}>}
+ */
+async function scrapeSource(source, options = {}) {
+  const fixtureMode = typeof options.html === 'string';
+  const config = source.config || {};
+
+  let html = options.html;
+  let httpStatus = null;
+  if (!fixtureMode) {
+    ({ text: html, status: httpStatus } = await fetchText(source.url));
+  }
+
+  const { items: listed, diagnostics } = extractListing(html, source);
+  diagnostics.httpStatus = httpStatus;
+
+  if (config.contentSelector) {
+    for (const item of listed) {
+      let articleHtml = null;
+      if (fixtureMode) {
+        articleHtml = (options.articleHtml || {})[item.url] || null;
+      } else {
+        try {
+          articleHtml = (await fetchText(item.url)).text;
+        } catch (err) {
+          logger.warn(`Article fetch failed for "${source.name}"`, { url: item.url, error: err.message });
+        }
+      }
+      if (articleHtml) applyArticlePage(item, articleHtml, config);
+    }
+  }
+
+  const items = listed.map(item => toRawItem(item, source));
+  diagnostics.articlesWithContent = items.filter(i => i.content).length;
+
+  return { items, diagnostics };
+}
+
+/**
+ * Extract list entries from a listing page using the source's selectors.
+ * Pure — no network — so it can be used to debug selectors against fixtures.
+ *
+ * @param {string} html - Listing page HTML
+ * @param {object} source - briefing_sources row (url, config)
+ * @returns {{items: Array<{title: string|null, url: string, published_at: string|null, linkText: string}>, diagnostics: object}}
+ */
+function extractListing(html, source) {
+  const config = source.config || {};
+  const itemSelector = config.itemSelector || config.articleSelector;
+  const maxArticles = config.maxArticles || 5;
+  const baseUrl = config.baseDomain || source.url;
+
+  if (!itemSelector) {
+    throw new Error(`Source "${source.name}" has no itemSelector in config`);
+  }
+
+  const $ = cheerio.load(html);
+  const matched = $(itemSelector);
+  const seen = new Set();
+  const items = [];
+
+  matched.each((_, el) => {
+    if (items.length >= maxArticles) return false;
+    const $el = $(el);
+
+    let $link;
+    if (config.linkSelector) {
+      $link = $el.find(config.linkSelector).first();
+    } else if ($el.is('a[href]')) {
+      $link = $el;
+    } else {
+      $link = $el.find('a[href]').first();
+    }
+
+    const href = $link.attr('href');
+    const url = resolveUrl(href, baseUrl);
+    if (!url || seen.has(url)) return undefined;
+    seen.add(url);
+
+    const title = config.titleSelector
+      ? cleanText($el.find(config.titleSelector).first().text())
+      : null;
+
+    let published_at = null;
+    if (config.dateSelector) {
+      const $date = $el.find(config.dateSelector).first();
+      published_at = parseDate($date.attr('datetime') || $date.attr('content') || $date.text());
+    }
+
+    items.push({
+      title: title || null,
+      url,
+      published_at,
+      linkText: cleanText($link.text()),
+    });
+    return undefined;
+  });
+
+  return {
+    items,
+    diagnostics: {
+      itemSelector,
+      itemsMatched: matched.length,
+      itemsExtracted: items.length,
+      withTitle: items.filter(i => i.title).length,
+      withDate: items.filter(i => i.published_at).length,
+    },
+  };
+}
+
+/**
+ * Fill in body, and title/date where the listing lacked them, from an article page.
+ */
+function applyArticlePage(item, html, config) {
+  const $ = cheerio.load(html);
+
+  const $body = $(config.contentSelector).first();
+  if ($body.length) {
+    $body.find('script, style, nav, aside, form, noscript').remove();
+    item.content = cleanText($body.text());
+  }
+
+  if (!item.title && config.titleSelector) {
+    item.title = cleanText($(config.titleSelector).first().text()) || null;
+  }
+
+  if (!item.published_at) {
+    item.published_at = parseDate(
+      $('meta[property="article:published_time"]').attr('content')
+      || $('time[datetime]').first().attr('datetime')
+    );
+  }
+}
+
+function toRawItem(item, source) {
+  const content = item.content || '';
+  return {
+    source_id: source.id || null,
+    source_type: 'web_scrape',
+    title: item.title || item.linkText || 'Untitled',
+    url: item.url,
+    content,
+    content_snippet: content.substring(0, 500),
+    published_at: item.published_at,
+    metadata: {
+      source_name: source.name,
+      category: source.category,
+      listing_url: source.url,
+    },
+  };
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith('#') || href.startsWith('mailto:') || href.startsWith('javascript:')) {
+    return null;
+  }
+  try {
+    const url = new URL(href, baseUrl);
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const ts = Date.parse(value.trim());
+  return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+}
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { type: 'web_scrape', fetch: fetchScrapedItems, fetchScrapedItems, scrapeSource, extractListing };
@@ -1,28 +1,21 @@
-const { tavily } = require('@tavily/core');
 const supabase = require('../../../lib/supabase');
 const logger = require('../../../lib/logger');
-
-// Lazy-init: Tavily SDK throws at construction time if no key is present
-let client;
-function getClient() {
-  if (!client) client = tavily({ apiKey: process.env.TAVILY_API_KEY });
-  return client;
-}
+const { resolveBackend } = require('../searchBackends');
 
 /**
- * Run web search for all active standing queries using Tavily.
+ * Run web search for all active standing queries.
+ * Each query uses its own `search_backend` if set, otherwise SEARCH_BACKEND
+ * (default Tavily). Unconfigured backends fall back to an LLM web search.
+ * Search options (depth, topic, days, domains) come from the query's `config`.
  *
  * @param {object} [options]
- * @param {number} [options.maxResultsPerQuery=5] - Max items per query
+ * @param {number} [options.maxResultsPerQuery=5] - Max items per query, unless the query sets config.maxResults
+ * @param {string} [options.provider] - AI provider, preferred when falling back to LLM search
+ * @param {object} [options.models] - Per-run model overrides; `search` applies to LLM search
  * @returns {Promise<Array>} Normalized raw items ready for insertion
  */
 async function fetchSearchResults(options = {}) {
-  const { maxResultsPerQuery = 5 } = options;
-
-  if (!process.env.TAVILY_API_KEY) {
-    logger.warn('Skipping web search: TAVILY_API_KEY not configured');
-    return [];
-  }
+  const { maxResultsPerQuery = 5, provider, models } = options;
 
   // Get ALL active search queries from the database
   const { data: queries, error } = await supabase
@@ -31,8 +24,7 @@ async function fetchSearchResults(options = {}) {
     .eq('active', true);
 
   if (error) {
-    logger.error('Failed to fetch search queries', { error: error.message });
-    return [];
+    throw new Error(`Failed to fetch search queries: ${error.message}`);
   }
 
   if (!queries || queries.length === 0) {
@@ -40,16 +32,23 @@ async function fetchSearchResults(options = {}) {
     return [];
   }
 
-  logger.info(`Running ${queries.length} Tavily searches`);
+  logger.info(`Running ${queries.length} web searches`);
 
   // Run searches sequentially to stay within rate limits
   const items = [];
   for (const query of queries) {
+    const backend = resolveBackend(query.search_backend, { provider });
+    if (!backend) {
+      logger.warn(`Skipping web search for "${query.query}": no search backend configured`);
+      continue;
+    }
+
     try {
-      const results = await searchSingleQuery(query, maxResultsPerQuery);
+      const maxResults = (query.config && query.config.maxResults) || maxResultsPerQuery;
+      const results = await backend.search(query, { maxResults, models });
       items.push(...results);
     } catch (err) {
-      logger.error(`Tavily search failed for query: "${query.query}"`, {
+      logger.error(`Web search (${backend.id}) failed for query: "${query.query}"`, {
         error: err.message,
       });
     }
@@ -59,29 +58,4 @@ async function fetchSearchResults(options = {}) {
   return items;
 }
 
-async function searchSingleQuery(query, maxResults) {
-  const response = await getClient().search(query.query, {
-    searchDepth: 'basic',
-    topic: 'news',
-    maxResults,
-    days: 3,
-  });
-
-  return (response.results || []).map(r => ({
-    source_id: null,
-    source_type: 'web_search',
-    title: r.title || 'Untitled',
-    url: r.url || '',
-    content: r.content || '',
-    content_snippet: (r.content || '').substring(0, 500),
-    published_at: r.publishedDate || null,
-    metadata: {
-      query_id: query.id,
-      query_text: query.query,
-      category: query.category,
-      tavily_score: r.score,
-    },
-  }));
-}
-
-module.exports = { fetchSearchResults };
+module.exports = { type: 'web_search', fetch: fetchSearchResults, fetchSearchResults };
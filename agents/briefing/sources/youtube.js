@@ -0,0 +1,280 @@
+const cheerio = require('cheerio');
+const supabase = require('../../../lib/supabase');
+const logger = require('../../../lib/logger');
+const { fetchText, fetchJson } = require('../../../lib/http');
+
+const API_BASE = 'https://www.googleapis.com/youtube/v3';
+const DEFAULT_MAX_AGE_HOURS = parseInt(process.env.BRIEFING_MAX_AGE_HOURS, 10) || 72;
+
+// Default HTTP layer. Tests and debugging can pass their own { getJson, getText }
+// to replay recorded responses instead of hitting YouTube.
+const defaultHttp = {
+  async getJson(url) {
+    return (await fetchJson(url)).data;
+  },
+  async getText(url) {
+    return (await fetchText(url, { headers: { 'Accept-Language': 'en-GB,en;q=0.9' } })).text;
+  },
+};
+
+/**
+ * Collect recent uploads with transcripts from all active youtube_channel sources.
+ * A channel that fails is logged and skipped; a video without captions falls back
+ * to its description so it can still be scored.
+ *
+ * @param {object} [options]
+ * @param {Array} [options.sources] - briefing_sources rows (defaults to all active youtube_channel rows)
+ * @param {number} [options.maxAgeHours=72] - Ignore uploads older than this
+ * @param {number} [options.maxVideosPerChannel=5] - Max uploads considered per channel
+ * @param {string} [options.apiKey] - YouTube Data API key (defaults to YOUTUBE_API_KEY)
+ * @param {object} [options.http] - HTTP layer with getJson(url) and getText(url)
+ * @param {Function} [options.onSourceResult] - Called with (source, result) after each channel
+ * @returns {Promise<Array>} Normalized raw items ready for insertion
+ */
+async function fetchYouTubeItems(options = {}) {
+  const {
+    maxAgeHours = DEFAULT_MAX_AGE_HOURS,
+    maxVideosPerChannel = 5,
+    apiKey = process.env.YOUTUBE_API_KEY,
+    http = defaultHttp,
+    onSourceResult = () => {},
+  } = options;
+
+  if (!apiKey) {
+    logger.warn('Skipping YouTube: YOUTUBE_API_KEY not configured');
+    return [];
+  }
+
+  let sources = options.sources;
+  if (!sources) {
+    const { data, error } = await supabase
+      .from('briefing_sources')
+      .select('*')
+      .eq('source_type', 'youtube_channel')
+      .eq('active', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch YouTube sources: ${error.message}`);
+    }
+    sources = data || [];
+  }
+
+  if (sources.length === 0) {
+    logger.info('No active YouTube channels configured');
+    return [];
+  }
+
+  logger.info(`Checking ${sources.length} YouTube channels`);
+
+  const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+  const items = [];
+
+  for (const source of sources) {
+    const startTime = Date.now();
+    try {
+      const channelItems = await fetchChannel(source, { apiKey, http, cutoff, maxVideosPerChannel });
+      items.push(...channelItems);
+      onSourceResult(source, {
+        status: 'ok',
+        itemCount: channelItems.length,
+        httpStatus: 200,
+        latencyMs: Date.now() - startTime,
+        error: null,
+      });
+    } catch (err) {
+      logger.error(`YouTube channel failed: "${source.name}"`, { url: source.url, error: err.message });
+      onSourceResult(source, {
+        status: 'failed',
+        itemCount: 0,
+        httpStatus: err.status || null,
+        latencyMs: Date.now() - startTime,
+        error: err.message,
+      });
+    }
+  }
+
+  logger.info(`YouTube collection complete: ${items.length} videos from ${sources.length} channels`);
+  return items;
+}
+
+async function fetchChannel(source, { apiKey, http, cutoff, maxVideosPerChannel }) {
+  const channelId = (source.config && source.config.channelId) || channelIdFromUrl(source.url);
+  const handle = channelId ? null : handleFromUrl(source.url);
+  if (!channelId && !handle) {
+    throw new Error('No channelId in config and no /channel/UC… or /@handle in URL');
+  }
+
+  // @handle URLs are resolved by the Data API in the same lookup
+  const lookup = channelId ? `id=${encodeURIComponent(channelId)}` : `forHandle=${encodeURIComponent(handle)}`;
+  const channelData = await http.getJson(
+    `${API_BASE}/channels?part=contentDetails,snippet&${lookup}&key=${apiKey}`
+  );
+  const channel = (channelData.items || [])[0];
+  if (!channel) {
+    throw new Error(`Channel ${channelId || handle} not found`);
+  }
+
+  const uploadsPlaylistId = channel.contentDetails.relatedPlaylists.uploads;
+  const playlistData = await http.getJson(
+    `${API_BASE}/playlistItems?part=contentDetails&maxResults=${maxVideosPerChannel}&playlistId=${uploadsPlaylistId}&key=${apiKey}`
+  );
+
+  const recentIds = (playlistData.items || [])
+    .filter(pi => Date.parse(pi.contentDetails.videoPublishedAt || '') >= cutoff)
+    .map(pi => pi.contentDetails.videoId);
+
+  if (recentIds.length === 0) {
+    logger.debug(`YouTube channel "${source.name}": no uploads in window`);
+    return [];
+  }
+
+  const videoData = await http.getJson(
+    `${API_BASE}/videos?part=snippet,contentDetails&id=${recentIds.join(',')}&key=${apiKey}`
+  );
+
+  const items = [];
+  for (const video of videoData.items || []) {
+    let transcript = null;
+    try {
+      transcript = await fetchTranscript(video.id, http);
+    } catch (err) {
+      logger.warn(`Transcript fetch failed for video ${video.id}`, { error: err.message });
+    }
+
+    items.push(toRawItem(video, transcript, source, channel));
+  }
+
+  logger.debug(`YouTube channel "${source.name}": ${items.length} videos, ${items.filter(i => i.metadata.transcript_source).length} with transcripts`);
+  return items;
+}
+
+/**
+ * Fetch the caption track for a video. Captions aren't downloadable through the
+ * Data API without OAuth, so this reads the caption track list from the watch page
+ * and fetches the timedtext XML directly. Prefers English manual captions over ASR.
+ *
+ * @param {string} videoId
+ * @param {object} http - HTTP layer with getText(url)
+ * @returns {Promise<{text: string, language: string, source: string}|null>}
+ */
+async function fetchTranscript(videoId, http) {
+  const page = await http.getText(`https://www.youtube.com/watch?v=${videoId}&hl=en`);
+
+  const marker = page.indexOf('"captionTracks":[');
+  if (marker === -1) return null;
+
+  const tracks = JSON.parse(extractJsonArray(page, page.indexOf('[', marker)));
+  const english = tracks.filter(t => (t.languageCode || '').startsWith('en'));
+  const candidates = english.length > 0 ? english : tracks;
+  const track = candidates.find(t => t.kind !== 'asr') || candidates[0];
+  if (!track || !track.baseUrl) return null;
+
+  const xml = await http.getText(track.baseUrl);
+  const text = parseTimedText(xml);
+  if (!text) return null;
+
+  return {
+    text,
+    language: track.languageCode,
+    source: track.kind === 'asr' ? 'auto' : 'manual',
+  };
+}
+
+/**
+ * The JSON array starting at `start`, found by balancing brackets. Track
+ * objects nest arrays (e.g. name.runs), so a regex can't find the end.
+ */
+function extractJsonArray(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  throw new Error('Unterminated captionTracks array');
+}
+
+/**
+ * Flatten timedtext XML (<transcript><text start dur>…</text></transcript>) to plain text.
+ */
+function parseTimedText(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  return $('text')
+    .map((_, el) => decodeEntities($(el).text()))
+    .get()
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Caption text is entity-encoded twice; cheerio decodes the outer layer
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function toRawItem(video, transcript, source, channel) {
+  const description = video.snippet.description || '';
+  const content = transcript ? transcript.text : description;
+  const thumbnails = video.snippet.thumbnails || {};
+  const thumbnail = thumbnails.high || thumbnails.medium || thumbnails.default || null;
+
+  return {
+    source_id: source.id,
+    source_type: 'youtube_transcript',
+    title: video.snippet.title || 'Untitled',
+    url: `https://www.youtube.com/watch?v=${video.id}`,
+    content,
+    content_snippet: (description || content).substring(0, 500),
+    published_at: video.snippet.publishedAt || null,
+    metadata: {
+      source_name: source.name,
+      category: source.category,
+      video_id: video.id,
+      channel_id: channel.id,
+      channel_title: video.snippet.channelTitle || channel.snippet?.title || null,
+      duration_seconds: parseDuration(video.contentDetails?.duration),
+      thumbnail_url: thumbnail ? thumbnail.url : null,
+      transcript_source: transcript ? transcript.source : null,
+      transcript_language: transcript ? transcript.language : null,
+    },
+  };
+}
+
+/**
+ * Convert an ISO 8601 duration (e.g. "PT1H2M3S") to seconds.
+ */
+function parseDuration(iso) {
+  const match = (iso || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!match) return null;
+  const [, d = 0, h = 0, m = 0, s = 0] = match.map(v => parseInt(v, 10) || 0);
+  return d * 86400 + h * 3600 + m * 60 + s;
+}
+
+function channelIdFromUrl(url) {
+  const match = (url || '').match(/\/channel\/(UC[\w-]+)/);
+  return match ? match[1] : null;
+}
+
+// youtube.com/@handle (optionally followed by /videos etc.) → '@handle'
+function handleFromUrl(url) {
+  const match = (url || '').match(/youtube\.com\/(@[\w.-]+)/);
+  return match ? match[1] : null;
+}
+
+module.exports = { type: 'youtube_channel', fetch: fetchYouTubeItems, fetchYouTubeItems, fetchTranscript, parseTimedText };
@@ -0,0 +1,106 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { fetchText } = require('../../lib/http');
+const { extractArticle } = require('../../lib/articleExtractor');
+const { canonicalizeUrl } = require('../../lib/url');
+
+/**
+ * Queue a manually submitted link for the next briefing.
+ * The page is fetched and extracted now, so the pipeline only has to pick it up.
+ *
+ * @param {object} params
+ * @param {string} params.url - Article URL
+ * @param {string} [params.note] - Submitter's note, passed to the script writer as context
+ * @param {string} [params.submittedBy='sam'] - Who submitted it
+ * @returns {Promise<object>} The queued raw item row
+ */
+async function submitLink({ url, note, submittedBy = 'sam' }) {
+  await assertNotQueued(canonicalizeUrl(url));
+
+  let page;
+  try {
+    page = await fetchText(url, { timeoutMs: 20000 });
+  } catch (err) {
+    const fetchErr = new Error(`Could not fetch ${url}: ${err.message}`);
+    fetchErr.statusCode = 422;
+    throw fetchErr;
+  }
+
+  const article = extractArticle(page.text, { url: page.url });
+  const content = article.text;
+
+  // Prefer the page's declared canonical (resolves AMP pages and redirects)
+  const canonicalUrl = canonicalizeUrl(article.canonicalUrl) || canonicalizeUrl(page.url) || canonicalizeUrl(url);
+  if (canonicalUrl !== canonicalizeUrl(url)) await assertNotQueued(canonicalUrl);
+
+  const { data, error } = await supabase
+    .from('briefing_raw_items')
+    .insert({
+      source_id: null,
+      source_type: 'manual',
+      title: article.title || url,
+      url,
+      canonical_url: canonicalUrl,
+      content,
+      content_snippet: content.substring(0, 500),
+      published_at: article.publishedAt,
+      fetched_at: new Date().toISOString(),
+      must_include: true,
+      submission_note: note || null,
+      metadata: {
+        submitted_by: submittedBy,
+        site_name: article.siteName,
+        full_text: content.length > 0
+          ? { status: 'extracted', chars: content.length }
+          : { status: 'fallback', error: 'No readable text extracted' },
+      },
+      embedded: false,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to queue submitted link: ${error.message}`);
+  }
+
+  logger.info('Link submitted for next briefing', { itemId: data.id, url, chars: content.length });
+  return data;
+}
+
+async function assertNotQueued(canonicalUrl) {
+  const { data: existing } = await supabase
+    .from('briefing_raw_items')
+    .select('id')
+    .eq('canonical_url', canonicalUrl)
+    .eq('must_include', true)
+    .is('episode_id', null)
+    .limit(1);
+
+  if (existing && existing.length > 0) {
+    const err = new Error('This link is already queued for the next briefing');
+    err.statusCode = 409;
+    throw err;
+  }
+}
+
+/**
+ * Submitted links not yet used in an episode.
+ * @returns {Promise<Array>} Raw item rows flagged must_include
+ */
+async function getPendingSubmissions() {
+  const { data, error } = await supabase
+    .from('briefing_raw_items')
+    .select('*')
+    .eq('must_include', true)
+    .is('episode_id', null)
+    .order('fetched_at', { ascending: true });
+
+  if (error) {
+    logger.error('Failed to load pending submissions', { error: error.message });
+    return [];
+  }
+
+  return data || [];
+}
+
+module.exports = { submitLink, getPendingSubmissions };
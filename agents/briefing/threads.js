@@ -0,0 +1,213 @@
+const supabase = require('../../lib/supabase');
+const logger = require('../../lib/logger');
+const { cosineSimilarity } = require('../../lib/embeddings');
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.BRIEFING_THREAD_THRESHOLD) || 0.8;
+// Threads not covered for this long are left alone — a return after months is a new story
+const LOOKBACK_DAYS = 60;
+
+/**
+ * Match stories to existing threads by comparing each story's embedding with
+ * the thread's most recent coverage.
+ *
+ * @param {Array<{id: string, vector: number[]|undefined}>} stories - Story lead IDs and their embeddings
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Minimum cosine similarity to join a thread
+ * @returns {Promise<Map<string, object>>} Lead item ID → { id, title, update_number, last_covered_date, last_section_title }
+ */
+async function matchThreads(stories, options = {}) {
+  const { threshold = DEFAULT_THRESHOLD } = options;
+  const matches = new Map();
+
+  const withVectors = stories.filter(s => s.vector);
+  if (withVectors.length === 0) return matches;
+
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const { data: threads, error } = await supabase
+    .from('briefing_story_threads')
+    .select('id, title, update_count, last_covered_date, last_section_title, embedding')
+    .gte('last_covered_date', since)
+    .not('embedding', 'is', null);
+
+  if (error) {
+    logger.warn('Failed to load story threads', { error: error.message });
+    return matches;
+  }
+  if (!threads || threads.length === 0) return matches;
+
+  const candidates = threads.map(t => ({ ...t, vector: parseVector(t.embedding) }));
+
+  for (const story of withVectors) {
+    let best = null;
+    let bestSimilarity = threshold;
+    for (const thread of candidates) {
+      const similarity = cosineSimilarity(story.vector, thread.vector);
+      if (similarity >= bestSimilarity) {
+        best = thread;
+        bestSimilarity = similarity;
+      }
+    }
+    if (best) {
+      matches.set(story.id, {
+        id: best.id,
+        title: best.title,
+        update_number: best.update_count + 1,
+        last_covered_date: best.last_covered_date,
+        last_section_title: best.last_section_title,
+      });
+    }
+  }
+
+  logger.info(`Story threads: ${matches.size} of ${withVectors.length} stories continue an existing thread`);
+  return matches;
+}
+
+/**
+ * Link each story section of a new episode to a thread, creating threads
+ * for new stories, and record a timeline entry per section.
+ * Sections are updated in place with `thread_id`. Never throws.
+ *
+ * @param {object} params
+ * @param {string} params.episodeId - The new episode
+ * @param {string} params.date - Episode date (YYYY-MM-DD)
+ * @param {Array} params.sections - Script sections (label, title, source_ids)
+ * @param {Array} params.items - Selected items (with id, thread, related_items)
+ * @param {Map<string, number[]>} params.vectors - Lead item ID → story embedding
+ * @returns {Promise<Array>} The sections, with thread_id set where linked
+ */
+async function recordThreads({ episodeId, date, sections, items, vectors }) {
+  // Any cited item — lead or related — resolves to its story's lead
+  const leadFor = new Map();
+  for (const item of items) {
+    leadFor.set(item.id, item);
+    for (const related of item.related_items || []) leadFor.set(related.id, item);
+  }
+
+  const linkedThreads = new Set();
+
+  for (const section of sections) {
+    if (section.label === 'opener' || section.label === 'closer') continue;
+
+    const leads = [...new Set((section.source_ids || []).map(id => leadFor.get(id)).filter(Boolean))];
+    if (leads.length === 0) continue;
+
+    try {
+      const existing = leads.find(lead => lead.thread && !linkedThreads.has(lead.thread.id));
+      const lead = existing || leads[0];
+      const vector = vectors.get(lead.id);
+      let threadId;
+
+      if (existing) {
+        threadId = existing.thread.id;
+        const update = {
+          update_count: existing.thread.update_number,
+          last_covered_date: date,
+          last_episode_id: episodeId,
+          last_section_title: section.title,
+          updated_at: new Date().toISOString(),
+        };
+        // Track the latest angle so follow-ups that drift from the original still match
+        if (vector) update.embedding = `[${vector.join(',')}]`;
+
+        const { error } = await supabase
+          .from('briefing_story_threads')
+          .update(update)
+          .eq('id', threadId);
+        if (error) throw error;
+      } else {
+        const { data, error } = await supabase
+          .from('briefing_story_threads')
+          .insert({
+            title: section.title || lead.title,
+            update_count: 1,
+            first_covered_date: date,
+            last_covered_date: date,
+            last_episode_id: episodeId,
+            last_section_title: section.title,
+            embedding: vector ? `[${vector.join(',')}]` : null,
+          })
+          .select('id')
+          .single();
+        if (error) throw error;
+        threadId = data.id;
+      }
+
+      const { error: entryError } = await supabase
+        .from('briefing_thread_entries')
+        .insert({
+          thread_id: threadId,
+          episode_id: episodeId,
+          episode_date: date,
+          section_label: section.label,
+          section_title: section.title,
+          source_item_ids: (section.source_ids || []).filter(id => leadFor.has(id)),
+        });
+      if (entryError) throw entryError;
+
+      linkedThreads.add(threadId);
+      section.thread_id = threadId;
+    } catch (err) {
+      logger.warn('Failed to record story thread', { section: section.label, error: err.message });
+    }
+  }
+
+  logger.info(`Story threads: linked ${linkedThreads.size} sections`);
+  return sections;
+}
+
+/**
+ * A thread and its timeline of episode sections, oldest first.
+ *
+ * @param {string} id - Thread ID
+ * @returns {Promise<object|null>} Thread with `entries`, or null if not found
+ */
+async function getThreadTimeline(id) {
+  const { data: thread, error } = await supabase
+    .from('briefing_story_threads')
+    .select('id, title, update_count, first_covered_date, last_covered_date, last_episode_id, created_at, updated_at')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code === 'PGRST116') return null;
+  if (error) throw error;
+
+  const { data: entries, error: entriesError } = await supabase
+    .from('briefing_thread_entries')
+    .select('id, episode_id, episode_date, section_label, section_title, source_item_ids, created_at')
+    .eq('thread_id', id)
+    .order('episode_date', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (entriesError) throw entriesError;
+
+  const episodeIds = [...new Set((entries || []).map(e => e.episode_id))];
+  const itemIds = [...new Set((entries || []).flatMap(e => e.source_item_ids || []))];
+
+  const [{ data: episodes }, { data: items }] = await Promise.all([
+    episodeIds.length > 0
+      ? supabase.from('briefing_episodes').select('id, date, summary, status').in('id', episodeIds)
+      : { data: [] },
+    itemIds.length > 0
+      ? supabase.from('briefing_raw_items').select('id, title, url, source_type').in('id', itemIds)
+      : { data: [] },
+  ]);
+
+  const episodeById = new Map((episodes || []).map(e => [e.id, e]));
+  const itemById = new Map((items || []).map(i => [i.id, i]));
+
+  return {
+    ...thread,
+    entries: (entries || []).map(entry => ({
+      ...entry,
+      episode: episodeById.get(entry.episode_id) || null,
+      sources: (entry.source_item_ids || []).map(itemId => itemById.get(itemId)).filter(Boolean),
+    })),
+  };
+}
+
+// pgvector columns come back from PostgREST as "[0.1,0.2,...]"
+function parseVector(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+module.exports = { matchThreads, recordThreads, getThreadTimeline };
@@ -0,0 +1,297 @@
+const { generateStructured, getModel } = require('../../lib/ai');
+const logger = require('../../lib/logger');
+const { assembleScript } = require('./scriptWriter');
+const { getPrompts, promptVersions } = require('./promptStore');
+
+/**
+ * What happens to flagged claims (BRIEFING_VERIFICATION_MODE):
+ *   - 'off'     — no verification
+ *   - 'report'  — claims are checked and the report stored; the script is unchanged
+ *   - 'rewrite' — sections with flagged claims are rewritten against their sources and
+ *                 checked again; if a rewrite fails or a claim is still flagged, the episode is blocked
+ *   - 'block'   — an episode with flagged claims (or a failed check) is not sent to TTS
+ */
+const MODES = ['off', 'report', 'rewrite', 'block'];
+const DEFAULT_MODE = MODES.includes(process.env.BRIEFING_VERIFICATION_MODE)
+  ? process.env.BRIEFING_VERIFICATION_MODE
+  : 'report';
+
+// Same room as the script writer gives full articles
+const MAX_SOURCE_CHARS = 6000;
+const SOURCE_MARKER = /\[source:\s*([^\]]+)\]/g;
+const VERDICTS = ['supported', 'misattributed', 'unsupported'];
+
+const CLAIMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          section_index: { type: 'integer', minimum: 0 },
+          claim: { type: 'string' },
+          cited_source_ids: { type: 'array', items: { type: 'string' } },
+          verdict: { type: 'string', enum: VERDICTS },
+          supporting_source_ids: { type: 'array', items: { type: 'string' } },
+          explanation: { type: 'string' },
+        },
+        required: ['section_index', 'claim', 'cited_source_ids', 'verdict', 'supporting_source_ids', 'explanation'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['claims'],
+  additionalProperties: false,
+};
+
+const SECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    body: { type: 'string' },
+    source_ids: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['body', 'source_ids'],
+  additionalProperties: false,
+};
+
+/**
+ * Check the script's factual claims against the stored content of the
+ * sources they cite, and handle flagged claims according to the mode.
+ *
+ * @param {object} scriptResult - As returned by writeScript (uses `document`)
+ * @param {Array} items - The selected items, with `related_items`
+ * @param {object} [options]
+ * @param {string} [options.provider] - AI provider ('claude' or 'openai')
+ * @param {object} [options.models] - Per-run model overrides (uses 'verification', and 'script' for rewrites)
+ * @param {string} [options.mode] - Overrides BRIEFING_VERIFICATION_MODE
+ * @returns {Promise<{report: object, result: object}>} The report for the episode, and the
+ *   script result — with rewritten sections re-assembled in rewrite mode.
+ *   `report.status` is 'skipped', 'passed', 'flagged', 'rewritten', 'blocked' or 'error';
+ *   a blocked report also carries `blocked_reason`.
+ */
+async function verifyScript(scriptResult, items, options = {}) {
+  const { provider, models, mode = DEFAULT_MODE } = options;
+
+  if (mode === 'off') {
+    return { report: { mode, status: 'skipped' }, result: scriptResult };
+  }
+
+  const sources = collectSources(items);
+  const document = scriptResult.document;
+  const prompts = await getPrompts(['verification', 'context', 'claim-rewrite']);
+  const report = {
+    mode,
+    model: getModel('verification', { provider, models }),
+    // Rewrites publish text written from claim-rewrite and context, so those count too
+    prompts: promptVersions(mode === 'rewrite'
+      ? [prompts.verification, prompts['claim-rewrite'], prompts.context]
+      : [prompts.verification]),
+    checked_at: new Date().toISOString(),
+  };
+
+  let claims;
+  try {
+    claims = await extractClaims(document, sources, { provider, models, prompt: prompts.verification });
+  } catch (err) {
+    logger.error('Claim verification failed', { error: err.message });
+    // Block and rewrite modes publish nothing unchecked
+    if (mode === 'report') {
+      return { report: { ...report, status: 'error', error: err.message }, result: scriptResult };
+    }
+    return { report: { ...report, ...blockedBy(`verification failed (${err.message})`), error: err.message }, result: scriptResult };
+  }
+
+  const flagged = claims.filter(claim => claim.verdict !== 'supported');
+  Object.assign(report, {
+    claims_total: claims.length,
+    flagged_total: flagged.length,
+    claims,
+  });
+
+  logger.info(`Claim verification: ${flagged.length} of ${claims.length} claims flagged`, {
+    mode,
+    unsupported: flagged.filter(c => c.verdict === 'unsupported').length,
+    misattributed: flagged.filter(c => c.verdict === 'misattributed').length,
+  });
+
+  if (flagged.length === 0) {
+    return { report: { ...report, status: 'passed' }, result: scriptResult };
+  }
+  if (mode === 'report') {
+    return { report: { ...report, status: 'flagged' }, result: scriptResult };
+  }
+  if (mode === 'block') {
+    const reason = `${flagged.length} of ${claims.length} claims were unsupported or misattributed`;
+    return { report: { ...report, ...blockedBy(reason) }, result: scriptResult };
+  }
+
+  // Rewrite mode: fix each affected section on its own, leaving the rest untouched
+  const rewritten = document.map(section => ({ ...section }));
+  const sectionIndexes = [...new Set(flagged.map(claim => claim.section_index))];
+  const rewrittenSections = [];
+  let failures = 0;
+
+  for (const index of sectionIndexes) {
+    const sectionClaims = flagged.filter(claim => claim.section_index === index);
+    try {
+      const { body, source_ids } = await rewriteSection(document[index], sectionClaims, sources, {
+        provider,
+        models,
+        prompts,
+      });
+      rewritten[index] = { ...rewritten[index], body, source_ids };
+      rewrittenSections.push(index);
+      sectionClaims.forEach(claim => { claim.resolution = 'rewritten'; });
+    } catch (err) {
+      failures++;
+      sectionClaims.forEach(claim => { claim.resolution = 'rewrite_failed'; });
+      logger.warn('Failed to rewrite section with flagged claims', { section: index, error: err.message });
+    }
+  }
+
+  const result = {
+    ...scriptResult,
+    ...assembleScript(rewritten),
+    document: rewritten,
+  };
+  report.rewritten_sections = rewrittenSections;
+
+  if (failures > 0) {
+    const reason = `${failures} of ${sectionIndexes.length} sections with flagged claims could not be rewritten`;
+    return { report: { ...report, ...blockedBy(reason) }, result };
+  }
+
+  // Rewritten text is new text — check it the same way before it can be published
+  let recheckClaims;
+  try {
+    recheckClaims = await extractClaims(rewritten, sources, {
+      provider,
+      models,
+      prompt: prompts.verification,
+      sectionIndexes: rewrittenSections,
+    });
+  } catch (err) {
+    logger.error('Re-check of rewritten sections failed', { error: err.message });
+    return { report: { ...report, ...blockedBy(`re-check of rewritten sections failed (${err.message})`), error: err.message }, result };
+  }
+
+  const stillFlagged = recheckClaims.filter(claim => claim.verdict !== 'supported');
+  report.recheck = {
+    claims_total: recheckClaims.length,
+    flagged_total: stillFlagged.length,
+    claims: recheckClaims,
+  };
+  logger.info(`Claim re-check: ${stillFlagged.length} of ${recheckClaims.length} claims still flagged after rewriting`);
+
+  if (stillFlagged.length > 0) {
+    const reason = `${stillFlagged.length} claims were still unsupported or misattributed after rewriting`;
+    return { report: { ...report, ...blockedBy(reason) }, result };
+  }
+
+  return { report: { ...report, status: 'rewritten' }, result };
+}
+
+function blockedBy(reason) {
+  return { status: 'blocked', blocked_reason: reason };
+}
+
+/**
+ * Ask the model to list the script's factual claims with a verdict each.
+ * `sectionIndexes` limits the check to those sections (numbered as in the full document).
+ */
+async function extractClaims(document, sources, { provider, models, prompt, sectionIndexes }) {
+  const knownIds = new Set(sources.keys());
+  const checked = sectionIndexes || document.map((_, i) => i);
+  const scriptText = checked
+    .map(i => `### Section ${i} (${document[i].label})\n${document[i].body}`)
+    .join('\n\n');
+
+  const validate = ({ claims }) => {
+    const problems = [];
+    claims.forEach((claim, i) => {
+      if (!checked.includes(claim.section_index)) {
+        problems.push(`Claim ${i + 1} has section_index ${claim.section_index}; only sections ${checked.join(', ')} are given`);
+      }
+      const unknown = [...claim.cited_source_ids, ...claim.supporting_source_ids].filter(id => !knownIds.has(id));
+      if (unknown.length > 0) problems.push(`Claim ${i + 1} uses unknown source IDs: ${unknown.join(', ')}`);
+    });
+    return problems;
+  };
+
+  const { data } = await generateStructured({
+    provider,
+    task: 'verification',
+    models,
+    userMessage: `${prompt.content}\n\n## Script\n\n${scriptText}\n\n## Sources\n\n${JSON.stringify([...sources.values()], null, 2)}`,
+    schema: CLAIMS_SCHEMA,
+    schemaName: 'claim_report',
+    validate,
+    maxTokens: 8192,
+  });
+
+  return data.claims.map(claim => ({
+    ...claim,
+    section_label: document[claim.section_index].label,
+  }));
+}
+
+/**
+ * Rewrite one section so its flagged claims are removed or correctly attributed.
+ */
+async function rewriteSection(section, claims, sources, { provider, models, prompts }) {
+  const relevantIds = new Set([
+    ...section.source_ids,
+    ...[...section.body.matchAll(SOURCE_MARKER)].map(m => m[1].trim()),
+    ...claims.flatMap(claim => claim.supporting_source_ids),
+  ]);
+  const relevantSources = [...relevantIds].filter(id => sources.has(id)).map(id => sources.get(id));
+  const knownIds = new Set(sources.keys());
+
+  const validate = ({ body, source_ids }) => {
+    const problems = [];
+    if (!body.trim()) problems.push('The body is empty');
+    if (/^\s*(#|[-*•]\s|\*\*)/m.test(body)) problems.push('The body contains markdown — write plain spoken prose');
+    const cited = [...body.matchAll(SOURCE_MARKER)].map(m => m[1].trim());
+    const unknown = [...new Set([...cited, ...source_ids])].filter(id => !knownIds.has(id));
+    if (unknown.length > 0) problems.push(`Unknown source IDs: ${unknown.join(', ')}`);
+    return problems;
+  };
+
+  const flaggedClaims = claims.map(({ claim, verdict, cited_source_ids, supporting_source_ids, explanation }) => ({
+    claim, verdict, cited_source_ids, supporting_source_ids, explanation,
+  }));
+
+  const { data } = await generateStructured({
+    provider,
+    task: 'script',
+    models,
+    system: prompts.context.content,
+    userMessage: `${prompts['claim-rewrite'].content}\n\n## Section (${section.label}${section.title ? `: ${section.title}` : ''})\n\n${section.body}\n\n## Flagged Claims\n\n${JSON.stringify(flaggedClaims, null, 2)}\n\n## Sources\n\n${JSON.stringify(relevantSources, null, 2)}`,
+    schema: SECTION_SCHEMA,
+    schemaName: 'section_rewrite',
+    validate,
+    maxTokens: 4096,
+  });
+
+  const cited = [...data.body.matchAll(SOURCE_MARKER)].map(m => m[1].trim());
+  return { body: data.body, source_ids: [...new Set([...data.source_ids, ...cited])] };
+}
+
+/**
+ * Source ID → { id, title, content } for the selected items and their related coverage.
+ */
+function collectSources(items) {
+  const sources = new Map();
+  for (const item of items.flatMap(i => [i, ...(i.related_items || [])])) {
+    if (!item.id || sources.has(item.id)) continue;
+    sources.set(item.id, {
+      id: item.id,
+      title: item.title || '',
+      content: (item.content || item.content_snippet || '').replace(/<[^>]*>/g, '').substring(0, MAX_SOURCE_CHARS),
+    });
+  }
+  return sources;
+}
+
+module.exports = { verifyScript, MODES };
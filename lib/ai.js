@@ -3,24 +3,47 @@
  *
  * Routes calls to Claude (Anthropic) or OpenAI based on provider selection.
  * All consumers import from here instead of directly from claude.js / openai.js.
+ *
+ * Callers name a task rather than a model. Each provider maps tasks to models;
+ * a mapping can be overridden with AI_MODEL_<PROVIDER>_<TASK> (e.g.
+ * AI_MODEL_OPENAI_SCORING=gpt-4.1-nano) or per call with `models: { task: modelId }`.
  */
 const claude = require('./claude');
 const openai = require('./openai');
 const logger = require('./logger');
+const { validateSchema } = require('./schema');
 
 const DEFAULT_PROVIDER = process.env.AI_PROVIDER || 'claude';
 
+const TASKS = ['scoring', 'script', 'summary', 'chat', 'search', 'suggestions', 'verification'];
+
 const PROVIDERS = {
   claude: {
     id: 'claude',
     name: 'Claude (Anthropic)',
-    models: { text: 'claude-sonnet-4-5-20250929', search: 'claude-sonnet-4-5-20250929' },
+    models: {
+      scoring: 'claude-haiku-4-5-20251001',
+      script: 'claude-sonnet-4-5-20250929',
+      summary: 'claude-haiku-4-5-20251001',
+      chat: 'claude-sonnet-4-5-20250929',
+      search: 'claude-sonnet-4-5-20250929',
+      suggestions: 'claude-sonnet-4-5-20250929',
+      verification: 'claude-sonnet-4-5-20250929',
+    },
     module: claude,
   },
   openai: {
     id: 'openai',
     name: 'GPT-4.1 (OpenAI)',
-    models: { text: 'gpt-4.1', search: 'gpt-4.1' },
+    models: {
+      scoring: 'gpt-4.1-mini',
+      script: 'gpt-4.1',
+      summary: 'gpt-4.1-mini',
+      chat: 'gpt-4.1',
+      search: 'gpt-4.1',
+      suggestions: 'gpt-4.1',
+      verification: 'gpt-4.1',
+    },
     module: openai,
   },
 };
@@ -32,38 +55,120 @@ function resolveProvider(provider) {
   return p;
 }
 
+// Per-call override, then env override, then the provider's default
+function resolveModel(p, task, overrides) {
+  if (!TASKS.includes(task)) throw new Error(`Unknown AI task: ${task}`);
+  return (overrides && overrides[task])
+    || process.env[`AI_MODEL_${p.id.toUpperCase()}_${task.toUpperCase()}`]
+    || p.models[task];
+}
+
+/**
+ * The model a task would use.
+ * @param {string} task - One of TASKS
+ * @param {object} [options]
+ * @param {string} [options.provider] - 'claude' or 'openai' (defaults to AI_PROVIDER env)
+ * @param {object} [options.models] - Per-run overrides, task → model ID
+ * @returns {string} Model ID
+ */
+function getModel(task, { provider, models } = {}) {
+  return resolveModel(resolveProvider(provider), task, models);
+}
+
 /**
  * Generate text using the selected provider.
  * @param {object} params
  * @param {string} [params.provider] - 'claude' or 'openai' (defaults to AI_PROVIDER env)
+ * @param {string} params.task - What the text is for (one of TASKS); picks the model
+ * @param {object} [params.models] - Per-run overrides, task → model ID
  * @param {string} [params.system] - System prompt
  * @param {string} params.userMessage - User message
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @returns {Promise<{text: string, usage: object, provider: string}>}
+ * @returns {Promise<{text: string, usage: object, provider: string, model: string}>}
  */
-async function generateText({ provider, system, userMessage, maxTokens = 4096, model }) {
+async function generateText({ provider, task, models, system, userMessage, maxTokens = 4096 }) {
   const p = resolveProvider(provider);
-  logger.debug('generateText', { provider: p.id, model: model || 'default' });
+  const model = resolveModel(p, task, models);
+  logger.debug('generateText', { provider: p.id, task, model });
 
   const result = await p.module.generateText({ system, userMessage, maxTokens, model });
-  return { ...result, provider: p.id };
+  return { ...result, provider: p.id, model };
 }
 
 /**
  * Multi-turn chat using the selected provider.
  * @param {object} params
  * @param {string} [params.provider] - 'claude' or 'openai'
+ * @param {string} [params.task='chat'] - Picks the model (one of TASKS)
+ * @param {object} [params.models] - Per-run overrides, task → model ID
  * @param {string} [params.system] - System prompt
  * @param {Array<{role: string, content: string}>} params.messages - Conversation messages
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @returns {Promise<{text: string, usage: object, provider: string}>}
+ * @returns {Promise<{text: string, usage: object, provider: string, model: string}>}
  */
-async function generateChat({ provider, system, messages, maxTokens = 4096 }) {
+async function generateChat({ provider, task = 'chat', models, system, messages, maxTokens = 4096 }) {
   const p = resolveProvider(provider);
-  logger.debug('generateChat', { provider: p.id, turns: messages.length });
+  const model = resolveModel(p, task, models);
+  logger.debug('generateChat', { provider: p.id, task, model, turns: messages.length });
 
-  const result = await p.module.generateChat({ system, messages, maxTokens });
-  return { ...result, provider: p.id };
+  const result = await p.module.generateChat({ system, messages, maxTokens, model });
+  return { ...result, provider: p.id, model };
+}
+
+/**
+ * Generate JSON that matches a schema, validating the result and asking the
+ * model to repair it when it doesn't. Claude uses forced tool use; OpenAI uses
+ * json_schema structured outputs. Each retry tells the model what was wrong.
+ * @param {object} params
+ * @param {string} [params.provider] - 'claude' or 'openai'
+ * @param {string} params.task - What the output is for (one of TASKS); picks the model
+ * @param {object} [params.models] - Per-run overrides, task → model ID
+ * @param {string} [params.system] - System prompt
+ * @param {string} params.userMessage - User message
+ * @param {object} params.schema - JSON Schema for the output (root must be an object)
+ * @param {string} [params.schemaName='output'] - Name of the output structure
+ * @param {Function} [params.validate] - Extra checks beyond the schema: (data) => string[] of problems
+ * @param {number} [params.maxAttempts=3] - Attempts before giving up
+ * @param {number} [params.maxTokens=4096] - Max output tokens
+ * @returns {Promise<{data: object, attempts: number, usage: object, provider: string, model: string}>}
+ * @throws {Error} When no attempt produced valid output; `err.attempts` and `err.problems` describe the last failure
+ */
+async function generateStructured({ provider, task, models, system, userMessage, schema, schemaName = 'output', validate, maxAttempts = 3, maxTokens = 4096 }) {
+  const p = resolveProvider(provider);
+  const model = resolveModel(p, task, models);
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let problems = [];
+  let message = userMessage;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    logger.debug('generateStructured', { provider: p.id, task, model, schemaName, attempt });
+
+    let data;
+    try {
+      const result = await p.module.generateStructured({ system, userMessage: message, schema, schemaName, maxTokens, model });
+      usage.input_tokens += result.usage.input_tokens;
+      usage.output_tokens += result.usage.output_tokens;
+      data = result.data;
+      problems = validateSchema(schema, data);
+      if (problems.length === 0 && validate) problems = validate(data) || [];
+    } catch (err) {
+      // API errors are already retried by the SDK — only output problems are worth repairing
+      if (err.status) throw err;
+      problems = [err.message];
+    }
+
+    if (problems.length === 0) {
+      return { data, attempts: attempt, usage, provider: p.id, model };
+    }
+
+    logger.warn('Structured output invalid', { provider: p.id, schemaName, attempt, problems: problems.slice(0, 5) });
+    message = `${userMessage}\n\n## Correction\n\nA previous attempt was rejected:\n${problems.slice(0, 20).map(pr => `- ${pr}`).join('\n')}\n\nReturn the complete output again with these problems fixed.`;
+  }
+
+  const err = new Error(`Structured output for ${schemaName} still invalid after ${maxAttempts} attempts`);
+  err.attempts = maxAttempts;
+  err.problems = problems;
+  throw err;
 }
 
 /**
@@ -71,16 +176,20 @@ async function generateChat({ provider, system, messages, maxTokens = 4096 }) {
  * Claude uses web_search_20250305 tool; OpenAI uses Responses API web_search_preview.
  * @param {object} params
  * @param {string} [params.provider] - 'claude' or 'openai'
+ * @param {object} [params.models] - Overrides, task → model ID (uses the 'search' task)
  * @param {string} params.userMessage - The search/analysis prompt
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @returns {Promise<{text: string, usage: object, provider: string}>}
+ * @param {string[]} [params.allowedDomains] - Domain allow-list (Claude only; state it in the prompt for OpenAI)
+ * @param {string[]} [params.blockedDomains] - Domain block-list (Claude only)
+ * @returns {Promise<{text: string, citations: Array<{url: string, title: string, cited_text: string}>, usage: object, provider: string, model: string}>}
  */
-async function webSearch({ provider, userMessage, maxTokens = 4096 }) {
+async function webSearch({ provider, models, userMessage, maxTokens = 4096, allowedDomains, blockedDomains }) {
   const p = resolveProvider(provider);
-  logger.debug('webSearch', { provider: p.id });
+  const model = resolveModel(p, 'search', models);
+  logger.debug('webSearch', { provider: p.id, model });
 
-  const result = await p.module.webSearch({ userMessage, maxTokens });
-  return { ...result, provider: p.id };
+  const result = await p.module.webSearch({ userMessage, maxTokens, model, allowedDomains, blockedDomains });
+  return { ...result, provider: p.id, model };
 }
 
 /**
@@ -94,14 +203,24 @@ async function generateEmbedding(text) {
 }
 
 /**
- * List available providers and whether they have keys configured.
+ * Generate embedding vectors for several texts in one call.
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} 1024-dimensional vectors, in input order
+ */
+async function generateEmbeddings(texts) {
+  return openai.generateEmbeddings(texts, { dimensions: 1024 });
+}
+
+/**
+ * List available providers, whether they have keys configured, and the
+ * model each task resolves to (env overrides applied).
  * @returns {Array<{id: string, name: string, available: boolean, models: object}>}
  */
 function getProviders() {
   return Object.values(PROVIDERS).map(p => ({
     id: p.id,
     name: p.name,
-    models: p.models,
+    models: Object.fromEntries(TASKS.map(task => [task, resolveModel(p, task)])),
     available: p.id === 'claude'
       ? !!process.env.ANTHROPIC_API_KEY
       : !!process.env.OPENAI_API_KEY,
@@ -116,4 +235,4 @@ function getDefaultProvider() {
   return DEFAULT_PROVIDER;
 }
 
-module.exports = { generateText, generateChat, webSearch, generateEmbedding, getProviders, getDefaultProvider };
+module.exports = { TASKS, generateText, generateChat, generateStructured, webSearch, generateEmbedding, generateEmbeddings, getModel, getProviders, getDefaultProvider };
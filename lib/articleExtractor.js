@@ -0,0 +1,133 @@
+const cheerio = require('cheerio');
+
+// Elements that never hold article text
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'form', 'button',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+  '.advert', '.ad', '.ads', '.cookie', '.cookies', '.newsletter', '.share', '.social',
+  '.related', '.comments', '.subscribe', '.paywall', '.breadcrumb',
+].join(', ');
+
+// Likely article containers, checked before falling back to paragraph density
+const CONTENT_SELECTORS = [
+  '[itemprop="articleBody"]',
+  'article',
+  '.article-body',
+  '.article__body',
+  '.post-content',
+  '.entry-content',
+  '.story-body',
+  'main',
+  '#content',
+];
+
+const TEXT_BLOCKS = 'p, h2, h3, h4, li, blockquote, pre';
+
+/**
+ * Extract the main readable text from an HTML page.
+ *
+ * Strips boilerplate (nav, footers, ads, share widgets), then takes the first
+ * known article container with enough text, or else the element holding the
+ * most paragraph text.
+ *
+ * @param {string} html - Page HTML
+ * @param {object} [options]
+ * @param {string} [options.url] - Page URL, used to resolve a relative canonical link
+ * @param {string} [options.selector] - Explicit body selector, tried first
+ * @returns {{title: string|null, text: string, canonicalUrl: string|null, publishedAt: string|null, siteName: string|null}}
+ */
+function extractArticle(html, options = {}) {
+  const $ = cheerio.load(html);
+
+  const title = clean($('meta[property="og:title"]').attr('content'))
+    || clean($('h1').first().text())
+    || clean($('title').first().text())
+    || null;
+  const siteName = clean($('meta[property="og:site_name"]').attr('content')) || null;
+  const publishedAt = parseDate(
+    $('meta[property="article:published_time"]').attr('content')
+    || $('time[datetime]').first().attr('datetime')
+  );
+
+  let canonicalUrl = null;
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+  if (canonicalHref) {
+    try {
+      canonicalUrl = new URL(canonicalHref, options.url).toString();
+    } catch {
+      canonicalUrl = null;
+    }
+  }
+
+  $(BOILERPLATE_SELECTORS).remove();
+
+  const selectors = options.selector ? [options.selector, ...CONTENT_SELECTORS] : CONTENT_SELECTORS;
+  let text = '';
+
+  for (const selector of selectors) {
+    const $container = $(selector).first();
+    if ($container.length === 0) continue;
+    const candidate = blockText($, $container);
+    if (candidate.length >= 500) {
+      text = candidate;
+      break;
+    }
+  }
+
+  if (!text) {
+    text = densestBlockText($);
+  }
+
+  return { title, text, canonicalUrl, publishedAt, siteName };
+}
+
+/**
+ * Join the text blocks inside a container with paragraph breaks.
+ */
+function blockText($, $container) {
+  const blocks = $container.find(TEXT_BLOCKS)
+    .map((_, el) => clean($(el).text()))
+    .get()
+    .filter(t => t.length > 0);
+
+  return blocks.length > 0 ? blocks.join('\n\n') : clean($container.text());
+}
+
+/**
+ * Fallback: score each paragraph's parent by total paragraph text and take the best.
+ */
+function densestBlockText($) {
+  const scores = new Map();
+
+  $('p').each((_, el) => {
+    const parent = el.parent;
+    if (!parent) return;
+    const len = clean($(el).text()).length;
+    if (len < 40) return;
+    scores.set(parent, (scores.get(parent) || 0) + len);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    if (score > bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  }
+
+  return best ? blockText($, $(best)) : '';
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+}
+
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { extractArticle };
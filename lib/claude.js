@@ -62,10 +62,10 @@ async function callClaude(params, options = {}) {
  * @param {string} [params.system] - System prompt
  * @param {string} params.userMessage - User message
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @param {string} [params.model='claude-sonnet-4-5-20250929'] - Model ID
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
  * @returns {Promise<{text: string, usage: object}>}
  */
-async function generateText({ system, userMessage, maxTokens = 4096, model = 'claude-sonnet-4-5-20250929' }) {
+async function generateText({ system, userMessage, maxTokens = 4096, model }) {
   const params = {
     model,
     max_tokens: maxTokens,
@@ -94,10 +94,10 @@ async function generateText({ system, userMessage, maxTokens = 4096, model = 'cl
  * @param {string} [params.system] - System prompt
  * @param {Array<{role: string, content: string}>} params.messages - Conversation messages
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @param {string} [params.model='claude-sonnet-4-5-20250929'] - Model ID
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
  * @returns {Promise<{text: string, usage: object}>}
  */
-async function generateChat({ system, messages, maxTokens = 4096, model = 'claude-sonnet-4-5-20250929' }) {
+async function generateChat({ system, messages, maxTokens = 4096, model }) {
   const params = {
     model,
     max_tokens: maxTokens,
@@ -120,30 +120,80 @@ async function generateChat({ system, messages, maxTokens = 4096, model = 'claud
   };
 }
 
+/**
+ * Generate JSON matching a schema, by forcing Claude to call a tool whose
+ * input schema is the output schema. The tool is never executed.
+ * @param {object} params
+ * @param {string} [params.system] - System prompt
+ * @param {string} params.userMessage - User message
+ * @param {object} params.schema - JSON Schema for the output (root must be an object)
+ * @param {string} [params.schemaName='output'] - Tool name the model calls
+ * @param {number} [params.maxTokens=4096] - Max output tokens
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
+ * @returns {Promise<{data: object, usage: object}>}
+ */
+async function generateStructured({ system, userMessage, schema, schemaName = 'output', maxTokens = 4096, model }) {
+  const params = {
+    model,
+    max_tokens: maxTokens,
+    tools: [{ name: schemaName, description: 'Return the result in this structure.', input_schema: schema }],
+    tool_choice: { type: 'tool', name: schemaName },
+    messages: [{ role: 'user', content: userMessage }],
+  };
+  if (system) params.system = system;
+
+  const response = await callClaude(params);
+  if (response.stop_reason === 'max_tokens') {
+    throw new Error(`Structured output truncated at ${maxTokens} tokens`);
+  }
+
+  const toolUse = response.content.find(b => b.type === 'tool_use' && b.name === schemaName);
+  if (!toolUse) throw new Error('Model did not return structured output');
+
+  return {
+    data: toolUse.input,
+    usage: {
+      input_tokens: response.usage?.input_tokens || 0,
+      output_tokens: response.usage?.output_tokens || 0,
+    },
+  };
+}
+
 /**
  * Web search using Claude with web_search tool.
  * Normalised interface matching lib/openai.js.
  * @param {object} params
  * @param {string} params.userMessage - The search/analysis prompt
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @param {string} [params.model='claude-sonnet-4-5-20250929'] - Model ID
- * @returns {Promise<{text: string, usage: object}>}
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
+ * @param {string[]} [params.allowedDomains] - Only search these domains
+ * @param {string[]} [params.blockedDomains] - Never search these domains (ignored if allowedDomains is set)
+ * @returns {Promise<{text: string, citations: Array<{url: string, title: string, cited_text: string}>, usage: object}>}
  */
-async function webSearch({ userMessage, maxTokens = 4096, model = 'claude-sonnet-4-5-20250929' }) {
+async function webSearch({ userMessage, maxTokens = 4096, model, allowedDomains, blockedDomains }) {
+  const tool = { type: 'web_search_20250305', name: 'web_search', max_uses: 3 };
+  // The API rejects requests that set both lists
+  if (allowedDomains && allowedDomains.length > 0) tool.allowed_domains = allowedDomains;
+  else if (blockedDomains && blockedDomains.length > 0) tool.blocked_domains = blockedDomains;
+
   const response = await callClaude({
     model,
     max_tokens: maxTokens,
-    tools: [{ type: 'web_search_20250305', name: 'web_search', max_uses: 3 }],
+    tools: [tool],
     messages: [{ role: 'user', content: userMessage }],
   });
 
-  const text = response.content
-    .filter(b => b.type === 'text')
-    .map(b => b.text)
-    .join('');
+  const textBlocks = response.content.filter(b => b.type === 'text');
+  const text = textBlocks.map(b => b.text).join('');
+
+  const citations = textBlocks
+    .flatMap(b => b.citations || [])
+    .filter(c => c.type === 'web_search_result_location' && c.url)
+    .map(c => ({ url: c.url, title: c.title || null, cited_text: c.cited_text || '' }));
 
   return {
     text,
+    citations,
     usage: {
       input_tokens: response.usage?.input_tokens || 0,
       output_tokens: response.usage?.output_tokens || 0,
@@ -159,4 +209,4 @@ function getUsage() {
   return { ...usage };
 }
 
-module.exports = { client, callClaude, generateText, generateChat, webSearch, getUsage };
+module.exports = { client, callClaude, generateText, generateChat, generateStructured, webSearch, getUsage };
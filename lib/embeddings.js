@@ -1,4 +1,6 @@
-const { generateEmbedding: embed } = require('./ai');
+const { generateEmbedding: embed, generateEmbeddings: embedBatch } = require('./ai');
+
+const BATCH_SIZE = 256;
 const supabase = require('./supabase');
 const logger = require('./logger');
 
@@ -15,6 +17,42 @@ async function generateEmbedding(text) {
   return embed(text);
 }
 
+/**
+ * Generate embeddings for many texts, batching API calls.
+ * @param {string[]} texts - Non-empty texts to embed
+ * @returns {Promise<number[][]>} Embedding vectors, in input order
+ */
+async function generateEmbeddings(texts) {
+  if (texts.some(t => !t || t.trim().length === 0)) {
+    throw new Error('Cannot embed empty text');
+  }
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    vectors.push(...await embedBatch(texts.slice(i, i + BATCH_SIZE)));
+  }
+  return vectors;
+}
+
+/**
+ * Cosine similarity between two vectors of equal length.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Similarity in [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
 /**
  * Chunk text into smaller pieces for embedding.
  * @param {string} text - The text to chunk
@@ -57,7 +95,7 @@ function chunkText(text, options = {}) {
  * @param {object} params
  * @param {string} [params.rawItemId] - Associated raw item ID
  * @param {string} [params.episodeId] - Associated episode ID
- * @param {string} params.contentType - 'source_chunk' or 'episode_script'
+ * @param {string} params.contentType - 'source_chunk', 'episode_script' or 'dedup_signature'
  * @param {string} params.chunkText - The text that was embedded
  * @param {number} params.chunkIndex - Index of this chunk
  * @param {number[]} params.embedding - The embedding vector
@@ -114,4 +152,4 @@ async function semanticSearch(queryText, options = {}) {
   return data || [];
 }
 
-module.exports = { generateEmbedding, chunkText, storeEmbedding, semanticSearch };
+module.exports = { generateEmbedding, generateEmbeddings, cosineSimilarity, chunkText, storeEmbedding, semanticSearch };
@@ -0,0 +1,71 @@
+const logger = require('./logger');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; PropellerNetBriefing/1.0)';
+
+/**
+ * Fetch a URL and return the body as text.
+ * Non-2xx responses throw an Error with the HTTP status attached as `err.status`,
+ * so callers can record it without parsing the message.
+ *
+ * @param {string} url - URL to fetch
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=15000] - Abort after this many milliseconds
+ * @param {object} [options.headers] - Extra request headers
+ * @returns {Promise<{text: string, status: number, url: string, contentType: string}>}
+ */
+async function fetchText(url, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, headers = {} } = options;
+  const startTime = Date.now();
+
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    const err = new Error(`HTTP ${response.status} fetching ${url}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  const text = await response.text();
+
+  logger.debug('HTTP fetch completed', {
+    url,
+    status: response.status,
+    durationMs: Date.now() - startTime,
+    bytes: text.length,
+  });
+
+  return {
+    text,
+    status: response.status,
+    url: response.url || url,
+    contentType: response.headers.get('content-type') || '',
+  };
+}
+
+/**
+ * Fetch a URL and parse the body as JSON.
+ * @param {string} url - URL to fetch
+ * @param {object} [options] - Same options as fetchText
+ * @returns {Promise<{data: any, status: number, url: string}>}
+ */
+async function fetchJson(url, options = {}) {
+  const { text, status, url: finalUrl } = await fetchText(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) },
+  });
+
+  try {
+    return { data: JSON.parse(text), status, url: finalUrl };
+  } catch (err) {
+    const parseErr = new Error(`Invalid JSON from ${url}: ${err.message}`);
+    parseErr.status = status;
+    throw parseErr;
+  }
+}
+
+module.exports = { fetchText, fetchJson };
@@ -24,10 +24,10 @@ const usage = {
  * @param {string} [params.system] - System prompt
  * @param {string} params.userMessage - User message
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @param {string} [params.model='gpt-4.1'] - Model ID
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
  * @returns {Promise<{text: string, usage: object}>}
  */
-async function generateText({ system, userMessage, maxTokens = 4096, model = 'gpt-4.1' }) {
+async function generateText({ system, userMessage, maxTokens = 4096, model }) {
   const startTime = Date.now();
 
   const messages = [];
@@ -76,10 +76,10 @@ async function generateText({ system, userMessage, maxTokens = 4096, model = 'gp
  * @param {string} [params.system] - System prompt
  * @param {Array<{role: string, content: string}>} params.messages - Conversation messages
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @param {string} [params.model='gpt-4.1'] - Model ID
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
  * @returns {Promise<{text: string, usage: object}>}
  */
-async function generateChat({ system, messages, maxTokens = 4096, model = 'gpt-4.1' }) {
+async function generateChat({ system, messages, maxTokens = 4096, model }) {
   const startTime = Date.now();
 
   const allMessages = [];
@@ -123,15 +123,82 @@ async function generateChat({ system, messages, maxTokens = 4096, model = 'gpt-4
   }
 }
 
+/**
+ * Generate JSON matching a schema using Chat Completions structured outputs.
+ * Strict mode requires every property to be listed in `required` and
+ * `additionalProperties: false` on every object.
+ * @param {object} params
+ * @param {string} [params.system] - System prompt
+ * @param {string} params.userMessage - User message
+ * @param {object} params.schema - JSON Schema for the output (root must be an object)
+ * @param {string} [params.schemaName='output'] - Schema name
+ * @param {number} [params.maxTokens=4096] - Max output tokens
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
+ * @returns {Promise<{data: object, usage: object}>}
+ */
+async function generateStructured({ system, userMessage, schema, schemaName = 'output', maxTokens = 4096, model }) {
+  const startTime = Date.now();
+
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push({ role: 'user', content: userMessage });
+
+  let response;
+  try {
+    response = await client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: schemaName, schema, strict: true },
+      },
+    });
+  } catch (err) {
+    logger.error('OpenAI structured completion failed', {
+      model,
+      error: err.message,
+      status: err.status,
+    });
+    throw err;
+  }
+
+  const inputTokens = response.usage?.prompt_tokens || 0;
+  const outputTokens = response.usage?.completion_tokens || 0;
+
+  usage.totalInputTokens += inputTokens;
+  usage.totalOutputTokens += outputTokens;
+  usage.totalCalls += 1;
+
+  const choice = response.choices[0];
+  logger.info('OpenAI structured completion', {
+    model,
+    inputTokens,
+    outputTokens,
+    durationMs: Date.now() - startTime,
+    finishReason: choice.finish_reason,
+  });
+
+  if (choice.message.refusal) throw new Error(`Model refused: ${choice.message.refusal}`);
+  if (choice.finish_reason === 'length') {
+    throw new Error(`Structured output truncated at ${maxTokens} tokens`);
+  }
+
+  return {
+    data: JSON.parse(choice.message.content),
+    usage: { input_tokens: inputTokens, output_tokens: outputTokens },
+  };
+}
+
 /**
  * Web search using OpenAI Responses API with web_search_preview tool.
  * @param {object} params
  * @param {string} params.userMessage - The search/analysis prompt
  * @param {number} [params.maxTokens=4096] - Max output tokens
- * @param {string} [params.model='gpt-4.1'] - Model ID
- * @returns {Promise<{text: string, usage: object}>}
+ * @param {string} params.model - Model ID (resolved per task by lib/ai.js)
+ * @returns {Promise<{text: string, citations: Array<{url: string, title: string, cited_text: string}>, usage: object}>}
  */
-async function webSearch({ userMessage, maxTokens = 4096, model = 'gpt-4.1' }) {
+async function webSearch({ userMessage, maxTokens = 4096, model }) {
   const startTime = Date.now();
 
   try {
@@ -157,8 +224,25 @@ async function webSearch({ userMessage, maxTokens = 4096, model = 'gpt-4.1' }) {
       durationMs,
     });
 
+    // url_citation annotations index into the message text they annotate
+    const citations = [];
+    for (const output of response.output || []) {
+      if (output.type !== 'message') continue;
+      for (const part of output.content || []) {
+        for (const a of part.annotations || []) {
+          if (a.type !== 'url_citation' || !a.url) continue;
+          citations.push({
+            url: a.url,
+            title: a.title || null,
+            cited_text: (part.text || '').substring(a.start_index, a.end_index),
+          });
+        }
+      }
+    }
+
     return {
       text: response.output_text,
+      citations,
       usage: { input_tokens: inputTokens, output_tokens: outputTokens },
     };
   } catch (err) {
@@ -197,6 +281,34 @@ async function generateEmbedding(text, options = {}) {
   }
 }
 
+/**
+ * Generate embeddings for several texts in one request.
+ * @param {string[]} texts - Texts to embed (the API accepts up to 2048 per call)
+ * @param {object} [options]
+ * @param {number} [options.dimensions=1024] - Output dimensions
+ * @returns {Promise<number[][]>} Embedding vectors, in input order
+ */
+async function generateEmbeddings(texts, options = {}) {
+  const dimensions = options.dimensions || 1024;
+
+  try {
+    const response = await client.embeddings.create({
+      model: 'text-embedding-3-large',
+      input: texts,
+      dimensions,
+    });
+
+    usage.totalCalls += 1;
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(d => d.embedding);
+  } catch (err) {
+    logger.error('OpenAI batch embedding failed', { error: err.message, count: texts.length });
+    throw err;
+  }
+}
+
 /**
  * Get cumulative usage statistics.
  */
@@ -204,4 +316,4 @@ function getUsage() {
   return { ...usage };
 }
 
-module.exports = { client, generateText, generateChat, webSearch, generateEmbedding, getUsage };
+module.exports = { client, generateText, generateChat, generateStructured, webSearch, generateEmbedding, generateEmbeddings, getUsage };
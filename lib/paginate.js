@@ -0,0 +1,28 @@
+/**
+ * Paging helper for Supabase queries.
+ *
+ * PostgREST caps responses at 1000 rows, so queries over larger windows
+ * must be fetched a page at a time with `.range()`.
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Run a query page by page and return every row.
+ *
+ * @param {Function} buildQuery - Returns a fresh query builder (without `.range`) for each page.
+ *   The query needs a stable order, or rows can shift between pages.
+ * @returns {Promise<Array>} All rows, in query order
+ */
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+module.exports = { fetchAll, PAGE_SIZE };
@@ -0,0 +1,77 @@
+/**
+ * Minimal JSON Schema validation for structured model output.
+ *
+ * Covers the subset used for our output schemas: type, properties, required,
+ * additionalProperties: false, items, enum, minimum/maximum, minLength.
+ */
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema - JSON Schema (subset)
+ * @param {*} value - Value to check
+ * @param {string} [at='$'] - Path used in error messages
+ * @returns {string[]} Problems found, empty if valid
+ */
+function validateSchema(schema, value, at = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${at}: expected ${schema.type}, got ${describeType(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength != null && value.length < schema.minLength) {
+    errors.push(`${at}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((entry, i) => errors.push(...validateSchema(schema.items, entry, `${at}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, entry] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], entry, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+module.exports = { validateSchema };
@@ -2,8 +2,8 @@
  * Startup seed verification.
  *
  * Search queries are managed entirely via the API / Supabase dashboard
- * so the user has full control. Source collection uses Tavily web search
- * only — no RSS/scrape sources to seed.
+ * so the user has full control. RSS sources live in briefing_sources and
+ * are seeded by scripts/seed.js, not on startup.
  */
 
 const supabase = require('./supabase');
@@ -0,0 +1,89 @@
+/**
+ * URL canonicalisation for deduplication.
+ *
+ * Two URLs that point at the same article should canonicalise to the same
+ * string: tracking parameters, fragments, `www.`, trailing slashes and AMP
+ * variants are stripped. The result is still a working URL.
+ */
+
+// Exact parameter names that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', 'hsctatracking',
+  'ref', 'ref_src', 'ref_url', 'referrer', 'cmpid', 'ocid', 'icid', 'ito',
+  'guccounter', 'guce_referrer', 'guce_referrer_sig', 'smid', 'sr_share',
+  'amp', 'outputtype',
+]);
+
+// Parameter prefixes used by analytics suites (utm_source, utm_medium, ...)
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'at_', 'oly_', 'vero_', 'trk_'];
+
+/**
+ * Canonicalise a URL for storage and dedup.
+ *
+ * @param {string} url - URL as collected
+ * @returns {string|null} Canonical URL, or null if `url` is not a valid http(s) URL
+ */
+function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed = unwrapAmpCache(parsed);
+
+  let host = parsed.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  // amp.example.com → example.com
+  if (host.startsWith('amp.') && host.split('.').length > 2) host = host.slice(4);
+  parsed.hostname = host;
+  parsed.hash = '';
+
+  // Trailing slash on a non-root path is the same page
+  parsed.pathname = stripAmpPath(parsed.pathname).replace(/(.)\/+$/, '$1');
+
+  const kept = [...parsed.searchParams]
+    .filter(([key]) => !isTrackingParam(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = '';
+  for (const [key, value] of kept) parsed.searchParams.append(key, value);
+
+  return parsed.toString();
+}
+
+function isTrackingParam(key) {
+  const lower = key.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Google AMP cache URLs wrap the publisher URL:
+ * https://example-com.cdn.ampproject.org/c/s/example.com/story → https://example.com/story
+ */
+function unwrapAmpCache(parsed) {
+  if (!parsed.hostname.endsWith('.cdn.ampproject.org')) return parsed;
+
+  const match = parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  if (!match) return parsed;
+
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+  } catch {
+    return parsed;
+  }
+}
+
+// /amp/story, /story/amp, /story/amp/, /story.amp, /story.amp.html → /story
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/^\/amp(?=\/)/, '')
+    .replace(/\/amp\/?$/, '')
+    .replace(/\.amp(\.html?)?$/, '$1')
+    || '/';
+}
+
+module.exports = { canonicalizeUrl };
@@ -0,0 +1,48 @@
+/**
+ * Selector debugging for web_scrape sources: runs the scraper against a saved
+ * HTML listing page and prints what it would extract. No network calls.
+ *
+ * Usage: node scripts/test-scrape.js <fixture.html> '<config json>' [source-url]
+ *
+ * Example:
+ *   node scripts/test-scrape.js fixtures/shopify-blog.html \
+ *     '{"itemSelector":"article.card","titleSelector":"h3","dateSelector":"time"}' \
+ *     https://www.shopify.com/uk/blog
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { scrapeSource } = require('../agents/briefing/sources/scrape');
+
+async function main() {
+  const [fixturePath, configArg, sourceUrl = 'https://example.com/'] = process.argv.slice(2);
+
+  if (!fixturePath || !configArg) {
+    console.error("Usage: node scripts/test-scrape.js <fixture.html> '<config json>' [source-url]");
+    process.exit(1);
+  }
+
+  const html = fs.readFileSync(fixturePath, 'utf-8');
+  const config = fs.existsSync(configArg)
+    ? JSON.parse(fs.readFileSync(configArg, 'utf-8'))
+    : JSON.parse(configArg);
+
+  const { items, diagnostics } = await scrapeSource(
+    { name: 'fixture', url: sourceUrl, category: null, config },
+    { html }
+  );
+
+  console.log('Diagnostics:', JSON.stringify(diagnostics, null, 2));
+  console.log(`\nExtracted ${items.length} items:\n`);
+  for (const item of items) {
+    console.log(`- ${item.title}`);
+    console.log(`  ${item.url}`);
+    console.log(`  published: ${item.published_at || 'unknown'}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Scrape test failed:', err.message);
+  process.exit(1);
+});
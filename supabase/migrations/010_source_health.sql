@@ -0,0 +1,22 @@
+-- Migration 010: Source health tracking
+--
+-- Records every collection attempt per source so broken feeds are caught
+-- automatically instead of by hand (see migration 006). Sources that fail
+-- too many runs in a row are deactivated by the pipeline.
+
+CREATE TABLE IF NOT EXISTS briefing_source_runs (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_id   uuid NOT NULL REFERENCES briefing_sources(id) ON DELETE CASCADE,
+  status      text NOT NULL CHECK (status IN ('ok', 'failed')),
+  http_status integer,
+  item_count  integer DEFAULT 0,
+  latency_ms  integer,
+  error       text,
+  created_at  timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_source_runs_source_created ON briefing_source_runs(source_id, created_at);
+
+ALTER TABLE briefing_sources ADD COLUMN IF NOT EXISTS consecutive_failures integer DEFAULT 0;
+ALTER TABLE briefing_sources ADD COLUMN IF NOT EXISTS last_success_at timestamptz;
+ALTER TABLE briefing_sources ADD COLUMN IF NOT EXISTS deactivated_reason text;
@@ -0,0 +1,15 @@
+-- Migration 011: Manual link submissions
+--
+-- Links submitted through POST /api/briefing/items are stored as raw items
+-- with source_type 'manual' and must_include = true. They stay pending
+-- (episode_id IS NULL) until a pipeline run includes them.
+
+ALTER TABLE briefing_raw_items DROP CONSTRAINT IF EXISTS briefing_raw_items_source_type_check;
+ALTER TABLE briefing_raw_items ADD CONSTRAINT briefing_raw_items_source_type_check
+  CHECK (source_type IN ('rss', 'web_search', 'podcast_transcript', 'youtube_transcript', 'web_scrape', 'manual'));
+
+ALTER TABLE briefing_raw_items ADD COLUMN IF NOT EXISTS must_include boolean DEFAULT false;
+ALTER TABLE briefing_raw_items ADD COLUMN IF NOT EXISTS submission_note text;
+
+CREATE INDEX IF NOT EXISTS idx_raw_items_pending_submissions
+  ON briefing_raw_items(fetched_at) WHERE must_include = true AND episode_id IS NULL;
@@ -0,0 +1,6 @@
+-- Migration 012: Per-query search backend
+--
+-- NULL means use the global SEARCH_BACKEND setting (default 'tavily').
+
+ALTER TABLE briefing_search_queries ADD COLUMN IF NOT EXISTS search_backend text
+  CHECK (search_backend IN ('tavily', 'claude', 'openai'));
@@ -0,0 +1,6 @@
+-- Migration 013: Per-query search options
+--
+-- config keys: searchDepth, topic, days, maxResults, includeDomains, excludeDomains.
+-- Missing keys use the defaults (basic, news, 3 days, 5 results, no domain filters).
+
+ALTER TABLE briefing_search_queries ADD COLUMN IF NOT EXISTS config jsonb DEFAULT '{}'::jsonb;
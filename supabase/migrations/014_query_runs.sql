@@ -0,0 +1,14 @@
+-- Migration 014: Standing query run history
+--
+-- One row per query per pipeline run. Items dropped as duplicates are never
+-- stored in briefing_raw_items, so their counts are kept here for query stats.
+
+CREATE TABLE IF NOT EXISTS briefing_query_runs (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  query_id        uuid NOT NULL REFERENCES briefing_search_queries(id) ON DELETE CASCADE,
+  returned_count  integer NOT NULL DEFAULT 0,
+  duplicate_count integer NOT NULL DEFAULT 0,
+  created_at      timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_runs_query_created ON briefing_query_runs(query_id, created_at DESC);
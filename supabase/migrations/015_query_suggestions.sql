@@ -0,0 +1,24 @@
+-- Migration 015: AI-suggested standing queries
+--
+-- A weekly job proposes new queries ('add') and flags redundant ones ('retire').
+-- Accepting an 'add' creates a query with added_by = 'suggested'; accepting a
+-- 'retire' deactivates the target query.
+
+ALTER TABLE briefing_search_queries DROP CONSTRAINT IF EXISTS briefing_search_queries_added_by_check;
+ALTER TABLE briefing_search_queries ADD CONSTRAINT briefing_search_queries_added_by_check
+  CHECK (added_by IN ('system', 'sam', 'suggested'));
+
+CREATE TABLE IF NOT EXISTS briefing_query_suggestions (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind              text NOT NULL CHECK (kind IN ('add', 'retire')),
+  query             text,
+  category          text,
+  target_query_id   uuid REFERENCES briefing_search_queries(id) ON DELETE CASCADE,
+  rationale         text,
+  status            text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+  created_query_id  uuid REFERENCES briefing_search_queries(id) ON DELETE SET NULL,
+  created_at        timestamptz DEFAULT now(),
+  reviewed_at       timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_suggestions_status ON briefing_query_suggestions(status, created_at DESC);
@@ -0,0 +1,75 @@
+-- Migration 016: Embedding-based near-duplicate detection
+--
+-- Each stored raw item gets a 'dedup_signature' embedding of its title and
+-- snippet. Near-duplicates (syndicated copies, retitled stories) are still
+-- stored but point at their canonical item via duplicate_of and are not scored.
+-- NOTE: the function body has no inner semicolon — lib/migrate.js splits on ';'.
+
+ALTER TABLE briefing_embeddings DROP CONSTRAINT IF EXISTS briefing_embeddings_content_type_check;
+ALTER TABLE briefing_embeddings ADD CONSTRAINT briefing_embeddings_content_type_check
+  CHECK (content_type IN ('source_chunk', 'episode_script', 'dedup_signature'));
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_content_type_created ON briefing_embeddings(content_type, created_at);
+
+ALTER TABLE briefing_raw_items ADD COLUMN IF NOT EXISTS duplicate_of uuid REFERENCES briefing_raw_items(id) ON DELETE SET NULL;
+ALTER TABLE briefing_raw_items ADD COLUMN IF NOT EXISTS duplicate_similarity float;
+
+CREATE INDEX IF NOT EXISTS idx_raw_items_duplicate_of ON briefing_raw_items(duplicate_of) WHERE duplicate_of IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION match_dedup_signature(
+  query_embedding vector(1024),
+  match_threshold float DEFAULT 0.88,
+  since timestamptz DEFAULT now() - interval '7 days'
+)
+RETURNS TABLE (
+  raw_item_id uuid,
+  similarity float
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    e.raw_item_id,
+    1 - (e.embedding <=> query_embedding) AS similarity
+  FROM briefing_embeddings e
+  WHERE e.content_type = 'dedup_signature'
+    AND e.created_at >= since
+    AND 1 - (e.embedding <=> query_embedding) > match_threshold
+  ORDER BY e.embedding <=> query_embedding
+  LIMIT 1
+$$;
+
+-- Keep dedup signatures out of chat's semantic search
+CREATE OR REPLACE FUNCTION match_embeddings(
+  query_embedding vector(1024),
+  match_threshold float DEFAULT 0.7,
+  match_count int DEFAULT 5
+)
+RETURNS TABLE (
+  id uuid,
+  raw_item_id uuid,
+  episode_id uuid,
+  content_type text,
+  chunk_text text,
+  chunk_index integer,
+  metadata jsonb,
+  created_at timestamptz,
+  similarity float
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    e.id,
+    e.raw_item_id,
+    e.episode_id,
+    e.content_type,
+    e.chunk_text,
+    e.chunk_index,
+    e.metadata,
+    e.created_at,
+    1 - (e.embedding <=> query_embedding) AS similarity
+  FROM briefing_embeddings e
+  WHERE e.content_type <> 'dedup_signature'
+    AND 1 - (e.embedding <=> query_embedding) > match_threshold
+  ORDER BY e.embedding <=> query_embedding
+  LIMIT match_count
+$$;
@@ -0,0 +1,10 @@
+-- Migration 017: Canonical URLs for raw items
+--
+-- url keeps the link as collected; canonical_url strips tracking parameters,
+-- AMP variants, www. and trailing slashes (lib/url.js), and is replaced by the
+-- page's declared <link rel="canonical"> when the article is fetched.
+-- Dedup compares canonical_url. Older rows are canonicalised on read.
+
+ALTER TABLE briefing_raw_items ADD COLUMN IF NOT EXISTS canonical_url text;
+
+CREATE INDEX IF NOT EXISTS idx_raw_items_canonical_url ON briefing_raw_items(canonical_url);
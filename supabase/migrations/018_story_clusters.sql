@@ -0,0 +1,19 @@
+-- Migration 018: Story clusters
+--
+-- Items about the same story are grouped before scoring. Only clusters with
+-- more than one item are stored; single-source items keep cluster_id NULL.
+
+CREATE TABLE IF NOT EXISTS briefing_story_clusters (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  label         text,
+  lead_item_id  uuid REFERENCES briefing_raw_items(id) ON DELETE SET NULL,
+  item_count    integer NOT NULL DEFAULT 0,
+  episode_id    uuid REFERENCES briefing_episodes(id) ON DELETE SET NULL,
+  created_at    timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_clusters_episode ON briefing_story_clusters(episode_id);
+
+ALTER TABLE briefing_raw_items ADD COLUMN IF NOT EXISTS cluster_id uuid REFERENCES briefing_story_clusters(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_raw_items_cluster_id ON briefing_raw_items(cluster_id) WHERE cluster_id IS NOT NULL;
@@ -0,0 +1,34 @@
+-- Migration 019: Cross-episode story threads
+--
+-- A thread is a story followed across episodes. Each episode section that
+-- covers it adds a timeline entry. The thread's embedding is the latest
+-- coverage's story embedding, used to match new items to the thread.
+
+CREATE TABLE IF NOT EXISTS briefing_story_threads (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  title               text NOT NULL,
+  update_count        integer NOT NULL DEFAULT 1,
+  first_covered_date  date NOT NULL,
+  last_covered_date   date NOT NULL,
+  last_episode_id     uuid REFERENCES briefing_episodes(id) ON DELETE SET NULL,
+  last_section_title  text,
+  embedding           vector(1024),
+  created_at          timestamptz DEFAULT now(),
+  updated_at          timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_threads_last_covered ON briefing_story_threads(last_covered_date DESC);
+
+CREATE TABLE IF NOT EXISTS briefing_thread_entries (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  thread_id       uuid NOT NULL REFERENCES briefing_story_threads(id) ON DELETE CASCADE,
+  episode_id      uuid NOT NULL REFERENCES briefing_episodes(id) ON DELETE CASCADE,
+  episode_date    date NOT NULL,
+  section_label   text,
+  section_title   text,
+  source_item_ids uuid[] DEFAULT '{}',
+  created_at      timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_thread_entries_thread ON briefing_thread_entries(thread_id, episode_date);
+CREATE INDEX IF NOT EXISTS idx_thread_entries_episode ON briefing_thread_entries(episode_id);
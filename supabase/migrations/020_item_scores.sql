@@ -0,0 +1,21 @@
+-- Migration 020: Scoring audit trail
+--
+-- One row per item scored for an episode — selected or not — with the
+-- model's reason, so it's possible to see why a story was left out.
+-- A NULL score means the item's scoring batch failed.
+
+CREATE TABLE IF NOT EXISTS briefing_item_scores (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  episode_id      uuid NOT NULL REFERENCES briefing_episodes(id) ON DELETE CASCADE,
+  raw_item_id     uuid NOT NULL REFERENCES briefing_raw_items(id) ON DELETE CASCADE,
+  score           integer CHECK (score BETWEEN 0 AND 10),
+  reason          text,
+  selected        boolean NOT NULL DEFAULT false,
+  provider        text,
+  model           text,
+  prompt_version  text,
+  created_at      timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_scores_episode ON briefing_item_scores(episode_id, score DESC);
+CREATE INDEX IF NOT EXISTS idx_item_scores_item ON briefing_item_scores(raw_item_id);
@@ -0,0 +1,26 @@
+-- Migration 021: Listener feedback
+--
+-- A thumbs up (1) or down (-1) on an episode section or a single source item.
+-- raw_item_ids holds the items the feedback applies to — a section's sources
+-- are resolved when the feedback is given. Recent feedback is fed back into
+-- the scoring prompt as examples.
+
+CREATE TABLE IF NOT EXISTS briefing_feedback (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  target_type     text NOT NULL CHECK (target_type IN ('section', 'item')),
+  episode_id      uuid REFERENCES briefing_episodes(id) ON DELETE CASCADE,
+  section_index   integer,
+  section_label   text,
+  raw_item_ids    uuid[] NOT NULL DEFAULT '{}',
+  rating          smallint NOT NULL CHECK (rating IN (-1, 1)),
+  comment         text,
+  created_at      timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_created_at ON briefing_feedback(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_feedback_episode ON briefing_feedback(episode_id);
+
+-- Category at scoring time, so score distributions can be grouped without joining items
+ALTER TABLE briefing_item_scores ADD COLUMN IF NOT EXISTS category text;
+
+CREATE INDEX IF NOT EXISTS idx_item_scores_created_at ON briefing_item_scores(created_at);
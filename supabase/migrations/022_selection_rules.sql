@@ -0,0 +1,6 @@
+-- Migration 022: Selection rules
+--
+-- Records which selection rule admitted or excluded each scored item
+-- (category quota, domain penalty, per-query cap, score threshold...).
+
+ALTER TABLE briefing_item_scores ADD COLUMN IF NOT EXISTS selection_rule text;
@@ -0,0 +1,18 @@
+-- Migration 023: Editable, versioned prompts
+--
+-- Every edit or rollback of a prompt adds a version; the highest version of
+-- a key is the one in use. Keys with no rows use the file shipped in
+-- agents/briefing/prompts/<key>.txt.
+
+CREATE TABLE IF NOT EXISTS briefing_prompt_versions (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  prompt_key  text NOT NULL,
+  version     integer NOT NULL,
+  content     text NOT NULL,
+  created_by  text NOT NULL DEFAULT 'sam',
+  change_note text,
+  created_at  timestamptz DEFAULT now(),
+  UNIQUE (prompt_key, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_key ON briefing_prompt_versions(prompt_key, version DESC);
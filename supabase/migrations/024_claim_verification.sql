@@ -0,0 +1,12 @@
+-- Migration 024: Claim verification
+--
+-- The verification report (claims checked against their cited sources) is
+-- stored on the episode. In block mode an episode with flagged claims is
+-- kept as 'blocked' and never sent to TTS.
+
+ALTER TABLE briefing_episodes ADD COLUMN IF NOT EXISTS verification jsonb;
+
+ALTER TABLE briefing_episodes DROP CONSTRAINT IF EXISTS briefing_episodes_status_check;
+
+ALTER TABLE briefing_episodes ADD CONSTRAINT briefing_episodes_status_check
+  CHECK (status IN ('pending', 'generating', 'generated', 'delivered', 'failed', 'blocked'));